@@ -0,0 +1,90 @@
+/**
+ * MoleSwap Oracle - Admin Authentication
+ *
+ * Guards the /admin API. A request is accepted with either:
+ * - `Authorization: Bearer <ADMIN_TOKEN>`
+ * - a signed message from one of ADMIN_ADDRESSES: `X-Admin-Address`,
+ *   `X-Admin-Timestamp` (unix seconds) and `X-Admin-Signature`, an EIP-191
+ *   signature over adminMessage(timestamp). A signature is accepted for
+ *   ADMIN_SIGNATURE_TTL_SEC, so the dashboard signs once per session
+ *
+ * With neither configured the admin API is disabled rather than open.
+ */
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { log } from './logger.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+let token = '';
+let addresses = new Set();
+let signatureTtlSec = 600;
+
+/**
+ * @param {object} deps
+ * @param {string} [deps.token]           Bearer token (ADMIN_TOKEN)
+ * @param {string[]} [deps.addresses]     Addresses allowed to sign in
+ * @param {number} [deps.signatureTtlSec] How long a signed timestamp stays valid
+ */
+export function initAdmin(deps) {
+  token = deps.token || '';
+  addresses = new Set((deps.addresses || []).filter(Boolean).map(a => a.toLowerCase()));
+  signatureTtlSec = deps.signatureTtlSec || signatureTtlSec;
+}
+
+export function adminEnabled() {
+  return token.length > 0 || addresses.size > 0;
+}
+
+/** The text an admin address signs to authenticate. */
+export function adminMessage(timestamp) {
+  return `MoleSwap oracle admin\nTimestamp: ${timestamp}`;
+}
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+/** Express middleware: 401 unless the request carries valid admin credentials. */
+export function requireAdmin(req, res, next) {
+  if (!adminEnabled()) {
+    return res.status(503).json({ error: 'Admin API disabled: set ADMIN_TOKEN or ADMIN_ADDRESSES' });
+  }
+
+  const actor = authenticate(req);
+  if (!actor) {
+    return res.status(401).json({ error: 'Admin credentials required' });
+  }
+
+  req.admin = actor;
+  if (req.method !== 'GET') {
+    log.info('Admin action', { actor, method: req.method, path: req.originalUrl });
+  }
+  next();
+}
+
+function authenticate(req) {
+  const bearer = req.get('authorization')?.match(/^Bearer (.+)$/)?.[1];
+  if (bearer && token && safeEqual(bearer, token)) return 'token';
+
+  const address = req.get('x-admin-address');
+  const timestamp = Number(req.get('x-admin-timestamp'));
+  const signature = req.get('x-admin-signature');
+  if (!address || !signature || !Number.isInteger(timestamp)) return null;
+  if (!addresses.has(address.toLowerCase())) return null;
+  if (Math.abs(Date.now() / 1000 - timestamp) > signatureTtlSec) return null;
+
+  try {
+    const signer = ethers.verifyMessage(adminMessage(timestamp), signature);
+    return signer.toLowerCase() === address.toLowerCase() ? signer : null;
+  } catch {
+    return null;
+  }
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
@@ -0,0 +1,151 @@
+/**
+ * MoleSwap Oracle - Intent Admission
+ *
+ * settleAndQueue pulls every intent's tokenIn with safeTransferFrom and
+ * reverts the whole batch if one pull fails or one deadline has passed. So
+ * before an intent is sent to the TEE (which costs RLC) the oracle checks
+ * that it can actually settle:
+ * - the sender holds enough tokenIn and has approved the hook for it,
+ *   summed over that sender's candidate intents and those already in flight
+ * - the deadline leaves enough margin for the TEE run and settlement
+ * - viewingPubKey is an uncompressed secp256k1 point, otherwise the stealth
+ *   key cannot be encrypted to it
+ *
+ * Intents that fail are held back with a reason and re-checked every cycle,
+ * except those whose deadline has passed: waiting cannot fix that, so they
+ * are flagged `final` and retired.
+ */
+import { ethers } from 'ethers';
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+];
+
+let provider, hookAddress, deadlineMarginSec;
+
+/**
+ * @param {object} deps
+ * @param {import('ethers').Provider} deps.provider
+ * @param {string} deps.hookAddress
+ * @param {number} deps.deadlineMarginSec  Minimum seconds left before the deadline
+ */
+export function initAdmission(deps) {
+  ({ provider, hookAddress, deadlineMarginSec } = deps);
+}
+
+// =============================================================================
+// ADMISSION
+// =============================================================================
+
+/**
+ * Split candidate intent records into those that can settle and those to hold.
+ * Candidates are considered in order, so when a sender's balance or allowance
+ * only covers some of their intents, the earliest ones are admitted.
+ *
+ * @param {object[]} records  Store intent records
+ * @param {object[]} [reserved] Intents already in flight; their amounts are
+ *   taken off the sender's balance and allowance first
+ * @returns {Promise<{ admitted: object[], held: { record: object, reason: string, code: string, final?: boolean }[] }>}
+ *   `code` is an errors.js catalog code; `final` marks intents that can never be admitted
+ */
+export async function admitIntents(records, reserved = []) {
+  const admitted = [];
+  const held = [];
+  const now = Math.floor(Date.now() / 1000);
+
+  // Checks that need no RPC
+  const funded = [];
+  for (const record of records) {
+    const failure = checkStatic(record, now);
+    if (failure) {
+      held.push({ record, ...failure });
+    } else {
+      funded.push(record);
+    }
+  }
+
+  // One balance + allowance read per (sender, tokenIn)
+  const funds = new Map();
+  await Promise.all(funded.map(async record => {
+    const key = fundsKey(record);
+    if (funds.has(key)) return;
+    funds.set(key, null);
+    const token = new ethers.Contract(record.tokenIn, ERC20_ABI, provider);
+    const [balance, allowance] = await Promise.all([
+      token.balanceOf(record.sender),
+      token.allowance(record.sender, hookAddress),
+    ]);
+    funds.set(key, { balance, allowance });
+  }));
+
+  for (const record of reserved) {
+    const available = funds.get(fundsKey(record));
+    if (!available) continue;
+    available.balance -= BigInt(record.amountIn);
+    available.allowance -= BigInt(record.amountIn);
+  }
+
+  for (const record of funded) {
+    const available = funds.get(fundsKey(record));
+    const amount = BigInt(record.amountIn);
+
+    if (available.balance < amount) {
+      held.push({
+        record,
+        reason: `Insufficient ${record.tokenIn} balance: needs ${amount}, has ${available.balance}`,
+        code: 'INSUFFICIENT_BALANCE',
+      });
+    } else if (available.allowance < amount) {
+      held.push({
+        record,
+        reason: `Insufficient allowance to the hook for ${record.tokenIn}: needs ${amount}, approved ${available.allowance}`,
+        code: 'INSUFFICIENT_ALLOWANCE',
+      });
+    } else {
+      available.balance -= amount;
+      available.allowance -= amount;
+      admitted.push(record);
+    }
+  }
+
+  return { admitted, held };
+}
+
+function checkStatic(record, now) {
+  if (!isValidViewingKey(record.viewingPubKey)) {
+    return {
+      reason: 'viewingPubKey is not an uncompressed secp256k1 public key; the stealth key could never be delivered. Cancel and resubmit.',
+      code: 'INVALID_VIEWING_KEY',
+    };
+  }
+  if (record.deadline <= now) {
+    return {
+      reason: 'Deadline has passed. Cancel the intent; your tokens never left your wallet.',
+      code: 'INTENT_EXPIRED',
+      final: true,
+    };
+  }
+  if (record.deadline - now < deadlineMarginSec) {
+    return {
+      reason: `Deadline is ${record.deadline - now}s away, less than the ${deadlineMarginSec}s needed to run the TEE and settle`,
+      code: 'DEADLINE_TOO_CLOSE',
+    };
+  }
+  return null;
+}
+
+/** True for a 65-byte 0x04-prefixed key that lies on secp256k1. */
+export function isValidViewingKey(key) {
+  if (typeof key !== 'string' || !ethers.isHexString(key, 65)) return false;
+  if (!key.toLowerCase().startsWith('0x04')) return false;
+  try {
+    return ethers.SigningKey.computePublicKey(key, false).toLowerCase() === key.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+function fundsKey(record) {
+  return `${record.sender.toLowerCase()}:${record.tokenIn.toLowerCase()}`;
+}
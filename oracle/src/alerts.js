@@ -0,0 +1,46 @@
+/**
+ * MoleSwap Oracle - Operator Alerts
+ *
+ * Alerts are for conditions that need a human: they are logged loudly, kept
+ * in a short in-memory history, and POSTed to ALERT_WEBHOOK_URL when set
+ * (Slack/Discord-compatible `text` field plus the structured payload).
+ */
+import { log } from './logger.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+const MAX_HISTORY = 100;
+
+let webhookUrl = null;
+const history = [];
+
+export function initAlerts(options = {}) {
+  webhookUrl = options.webhookUrl || null;
+}
+
+// =============================================================================
+// ALERTS
+// =============================================================================
+export function raiseAlert(kind, message, details = {}) {
+  const alert = { kind, message, details, at: Date.now() };
+
+  history.push(alert);
+  if (history.length > MAX_HISTORY) history.shift();
+
+  log.error(`ALERT ${message}`, { alert: kind, ...details });
+
+  if (webhookUrl) {
+    fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `🚨 MoleSwap oracle [${kind}] ${message}`, ...alert }),
+    }).catch(e => log.warn('Alert webhook failed', { alert: kind, error: e }));
+  }
+
+  return alert;
+}
+
+export function recentAlerts() {
+  return [...history];
+}
@@ -0,0 +1,337 @@
+/**
+ * MoleSwap Oracle - iExec TEE Backend
+ *
+ * Runs the matcher inside an SGX enclave on an iExec workerpool:
+ * orderbook lookup → matchOrders → follow the task (obsTask) → fetch result.json
+ *
+ * Orders are looked up on every workerpool in IEXEC_WORKERPOOLS and the
+ * cheapest pair within IEXEC_MAX_BATCH_PRICE wins, so a pool without a TEE
+ * order is simply passed over. The prices paid are returned in the run's meta.
+ *
+ * The meta handed to onDeal is enough to finish the run after a restart:
+ * resume() waits for that task and fetches its result instead of buying another.
+ */
+import { inc, observe } from '../metrics.js';
+import { log as rootLog } from '../logger.js';
+import { trackClaim } from '../claims.js';
+
+// =============================================================================
+// BACKEND
+// =============================================================================
+
+const EXPLORER_URL = 'https://explorer.iex.ec/arbitrum-sepolia-testnet';
+const MAX_MATCH_ATTEMPTS = 3;
+const RECHECK_DELAY_MS = 15000;
+const TASK_COMPLETED = 3;
+const TASK_FAILED = 4;
+
+/**
+ * @param {object} options
+ * @param {import('iexec').IExec} options.iexec
+ * @param {string} options.app            iExec app address
+ * @param {string[]} options.workerpools  Workerpool addresses; the first listed wins ties
+ * @param {bigint} options.maxPrice       Budget per batch (app + workerpool price), in nRLC
+ * @param {string} options.teeTag         Required TEE tag
+ * @param {number} options.timeoutMs      After this long a running task is logged as slow
+ * @returns {import('./index.js').TeeBackend}
+ */
+export function createIexecBackend(options) {
+  const { iexec } = options;
+
+  async function run(intents, hooks = {}) {
+    const log = hooks.log || rootLog;
+    hooks.onStage?.('orderbook_match');
+
+    // Base64 encode input (critical for SCONE TEE compatibility)
+    const inputJson = JSON.stringify(intents);
+    const inputData = Buffer.from(inputJson).toString('base64');
+    log.info('Sending to iExec TEE', { intents: intents.length, payloadBytes: inputData.length });
+
+    // Rank TEE orders across the configured workerpools, cheapest first
+    const { candidates, cheapest } = await findOrders(iexec, options, lookup);
+    if (candidates.length === 0) {
+      throw new Error(cheapest
+        ? `No TEE order within budget: cheapest is ${cheapest.total} nRLC on ${cheapest.workerpool}, IEXEC_MAX_BATCH_PRICE is ${options.maxPrice}`
+        : `No TEE order available on ${options.workerpools.join(', ')}. Run: iexec app publish --tag tee,scone`);
+    }
+
+    // Match the best candidate; an order taken since the lookup falls through to the next
+    let matchResult;
+    let chosen;
+    const attempts = candidates.slice(0, MAX_MATCH_ATTEMPTS);
+    for (const [i, candidate] of attempts.entries()) {
+      try {
+        const requestorder = await iexec.order.createRequestorder({
+          app: options.app,
+          workerpool: candidate.workerpool,
+          category: 0,
+          params: { iexec_args: inputData },
+          tag: options.teeTag,
+          trust: 1,
+          appmaxprice: candidate.apporder.appprice,
+          workerpoolmaxprice: candidate.workerpoolorder.workerpoolprice,
+        });
+        const signedRequestorder = await iexec.order.signRequestorder(requestorder);
+        matchResult = await iexec.order.matchOrders({
+          apporder: candidate.apporder,
+          workerpoolorder: candidate.workerpoolorder,
+          requestorder: signedRequestorder,
+        });
+        chosen = candidate;
+        break;
+      } catch (e) {
+        if (i === attempts.length - 1) throw e;
+        log.warn('Order match failed, trying the next order', { workerpool: candidate.workerpool, error: e });
+      }
+    }
+
+    // The task ID follows from the deal, so it is known (and persisted) without another RPC
+    const taskId = await iexec.deal.computeTaskId(matchResult.dealid, 0);
+    const explorerUrl = `${EXPLORER_URL}/task/${taskId}`;
+    log.info('Orders matched', { dealId: matchResult.dealid, taskId, txHash: matchResult.txHash, explorerUrl, workerpool: chosen.workerpool, priceNrlc: chosen.total });
+
+    const price = {
+      app: chosen.apporder.appprice.toString(),
+      workerpool: chosen.workerpoolorder.workerpoolprice.toString(),
+      total: chosen.total.toString(),
+    };
+    inc('moleswap_iexec_rlc_spent_total', { workerpool: chosen.workerpool }, Number(chosen.total) / 1e9);
+
+    const meta = { dealId: matchResult.dealid, taskId, matchTx: matchResult.txHash, explorerUrl, workerpool: chosen.workerpool, price };
+    await hooks.onDeal?.(meta);
+
+    return { output: await complete(meta, hooks), meta };
+  }
+
+  /**
+   * Finish a deal matched before a restart: wait for its task and fetch the
+   * result, without buying another task.
+   *
+   * @param {object} meta  The meta passed to onDeal when the deal was matched
+   */
+  async function resume(meta, hooks = {}) {
+    const log = hooks.log || rootLog;
+    log.info('Resuming iExec deal', { dealId: meta.dealId, taskId: meta.taskId, explorerUrl: meta.explorerUrl });
+    return { output: await complete(meta, hooks), meta };
+  }
+
+  async function complete(meta, hooks) {
+    const log = hooks.log || rootLog;
+    hooks.onStage?.('task_running');
+    const startedAt = Date.now();
+    try {
+      await waitForTask(meta, log.child({ dealId: meta.dealId, taskId: meta.taskId }), hooks.onTaskStatus);
+      observe('moleswap_tee_task_duration_seconds', { status: 'completed' }, (Date.now() - startedAt) / 1000);
+    } catch (e) {
+      const status = e.message.startsWith('Task timeout') ? 'timeout' : 'failed';
+      observe('moleswap_tee_task_duration_seconds', { status }, (Date.now() - startedAt) / 1000);
+      // The deal's price stays locked until the task is claimed after its final deadline
+      trackClaim({ ...meta, reason: status });
+      throw e;
+    }
+    hooks.onStage?.('result_fetch');
+    return fetchOutput(meta.taskId, log.child({ taskId: meta.taskId }));
+  }
+
+  async function lookup(book, fetchOrderbook) {
+    try {
+      const orderbook = await fetchOrderbook();
+      inc('moleswap_iexec_orderbook_lookups_total', { book, result: orderbook.orders.length > 0 ? 'found' : 'empty' });
+      return orderbook;
+    } catch (e) {
+      inc('moleswap_iexec_orderbook_lookups_total', { book, result: 'error' });
+      throw e;
+    }
+  }
+
+  /**
+   * Follow the task through the SDK's task observable until it completes,
+   * fails or passes its deal's final deadline, reporting each status as it
+   * changes: ACTIVE, REVEALING, COMPLETED, FAILED or TIMEOUT.
+   *
+   * Only the chain says a task is over. An observer error or a stream that
+   * ends early leaves the status unknown: the task and deal are read back and
+   * the task followed again while the deadline is still ahead. A task still
+   * running after TASK_TIMEOUT_MS is only logged as slow, since giving up on
+   * it would buy a second task while the first may yet complete.
+   */
+  function waitForTask(meta, log, onStatus) {
+    log.info('Waiting for TEE execution');
+
+    return new Promise((resolve, reject) => {
+      let status = 'UNSET';
+      let done = false;
+      let unsubscribe = null;
+      let recheckTimer = null;
+
+      const report = next => {
+        if (next === status || next === 'UNSET') return;
+        status = next;
+        log.info('TEE task status', { status });
+        onStatus?.(status);
+      };
+      const finish = error => {
+        if (done) return;
+        done = true;
+        clearTimeout(slowTimer);
+        clearTimeout(recheckTimer);
+        unsubscribe?.();
+        if (error) reject(error);
+        else resolve();
+      };
+      const settle = () => {
+        if (status === 'COMPLETED') finish();
+        else if (status === 'TIMEOUT') finish(new Error('Task timeout: final deadline reached'));
+        else finish(new Error(`TEE task failed: status ${status}`));
+      };
+
+      const subscribe = () => {
+        iexec.task.obsTask(meta.taskId, { dealid: meta.dealId }).then(observable => {
+          if (done) return;
+          unsubscribe = observable.subscribe({
+            next: ({ message, task }) => {
+              report(message === 'TASK_TIMEDOUT' ? 'TIMEOUT' : task.statusName);
+              if (message !== 'TASK_UPDATED') settle();
+            },
+            complete: () => recheck(new Error('task observer ended')),
+            error: recheck,
+          });
+        }, recheck);
+      };
+
+      // Read the outcome back from the chain, following the task again while its deal is open
+      const recheck = error => {
+        if (done) return;
+        unsubscribe?.();
+        unsubscribe = null;
+        log.warn('Lost track of the TEE task, checking it on-chain', { status, error });
+        recheckTimer = setTimeout(async () => {
+          try {
+            const [taskStatus, deal] = await Promise.all([
+              // A task nobody has initialized yet is not on-chain
+              iexec.task.show(meta.taskId).then(task => task.status, () => null),
+              iexec.deal.show(meta.dealId),
+            ]);
+            if (done) return;
+            if (taskStatus === TASK_COMPLETED) report('COMPLETED');
+            else if (taskStatus === TASK_FAILED) report('FAILED');
+            else if (deal.deadlineReached) report('TIMEOUT');
+            else return subscribe();
+            settle();
+          } catch (e) {
+            recheck(e);
+          }
+        }, RECHECK_DELAY_MS);
+      };
+
+      const slowTimer = setTimeout(() => {
+        log.warn('TEE task still running, waiting for its final deadline', { status, afterSec: options.timeoutMs / 1000 });
+      }, options.timeoutMs);
+
+      subscribe();
+    });
+  }
+
+  async function fetchOutput(taskId, log) {
+    log.info('Fetching TEE results');
+
+    const result = await iexec.task.fetchResults(taskId);
+    const contentType = result.headers?.get('content-type') || 'unknown';
+
+    if (!contentType.includes('zip') && !contentType.includes('octet-stream')) {
+      return JSON.parse(await result.text());
+    }
+
+    const JSZip = (await import('jszip')).default;
+    const arrayBuffer = await result.arrayBuffer();
+    const zip = await JSZip.loadAsync(arrayBuffer);
+    const filenames = Object.keys(zip.files);
+    log.debug('Result archive contents', { files: filenames });
+
+    // Find result file
+    let resultContent;
+    const targets = ['result.json', 'result.txt', 'output.json'];
+    for (const target of targets) {
+      const found = filenames.find(f => f.endsWith(target));
+      if (found && !zip.files[found].dir) {
+        resultContent = await zip.files[found].async('string');
+        log.debug('Reading result file', { file: found });
+        break;
+      }
+    }
+
+    if (!resultContent) {
+      const fallback = filenames.find(f => !f.includes('computed.json') && !zip.files[f].dir);
+      if (fallback) resultContent = await zip.files[fallback].async('string');
+    }
+
+    return JSON.parse(resultContent);
+  }
+
+  return { name: 'iexec', enclave: true, run, resume };
+}
+
+// =============================================================================
+// ORDER SELECTION
+// =============================================================================
+
+/**
+ * @typedef {object} OrderCandidate
+ * @property {string} workerpool
+ * @property {object} apporder
+ * @property {object} workerpoolorder
+ * @property {bigint} total      App + workerpool price, in nRLC
+ * @property {number} remaining  Volume left on the workerpool order
+ */
+
+/**
+ * Pair every open TEE workerpool order on `options.workerpools` with the
+ * cheapest app order usable on that pool, and rank the pairs by total price,
+ * then remaining volume, then the pool's position in the list. A pool whose
+ * orderbook cannot be read is skipped unless every pool fails.
+ *
+ * @param {import('iexec').IExec} iexec
+ * @param {{ app: string, workerpools: string[], teeTag: string, maxPrice: bigint }} options
+ * @param {(book: string, fetchOrderbook: Function) => Promise<object>} [lookup]
+ * @returns {Promise<{ candidates: OrderCandidate[], cheapest: OrderCandidate | null }>}
+ *   `candidates` fit the budget; `cheapest` is the best pair regardless of it
+ */
+export async function findOrders(iexec, options, lookup = (book, fetchOrderbook) => fetchOrderbook()) {
+  const results = await Promise.allSettled(options.workerpools.map(async (workerpool, preference) => {
+    const [appBook, poolBook] = await Promise.all([
+      lookup('app', () => iexec.orderbook.fetchAppOrderbook(options.app, { workerpool, minTag: options.teeTag })),
+      lookup('workerpool', () => iexec.orderbook.fetchWorkerpoolOrderbook({ workerpool, category: 0, minTag: options.teeTag })),
+    ]);
+    const apporder = cheapestOrder(appBook.orders.map(o => o.order), 'appprice');
+    if (!apporder) return [];
+    return poolBook.orders
+      .filter(o => o.remaining > 0)
+      .map(o => ({
+        workerpool,
+        preference,
+        apporder,
+        workerpoolorder: o.order,
+        total: BigInt(apporder.appprice) + BigInt(o.order.workerpoolprice),
+        remaining: o.remaining,
+      }));
+  }));
+
+  const failed = results.filter(r => r.status === 'rejected');
+  if (failed.length === results.length && failed.length > 0) throw failed[0].reason;
+
+  const ranked = results
+    .flatMap(r => (r.status === 'fulfilled' ? r.value : []))
+    .sort((a, b) => (a.total < b.total ? -1 : a.total > b.total ? 1 : 0)
+      || b.remaining - a.remaining
+      || a.preference - b.preference);
+
+  return {
+    candidates: ranked.filter(c => c.total <= options.maxPrice),
+    cheapest: ranked[0] || null,
+  };
+}
+
+function cheapestOrder(orders, priceField) {
+  return orders.reduce((best, o) => (!best || BigInt(o[priceField]) < BigInt(best[priceField]) ? o : best), null);
+}
+
@@ -0,0 +1,83 @@
+/**
+ * MoleSwap Oracle - TEE Execution Backends
+ *
+ * Every backend turns a list of intents into the matcher's result.json
+ * ({ settlementBatch, teeSigner, summary }):
+ * - iexec: SGX enclave on an iExec workerpool (production)
+ * - local: tee-app spawned as a child process, no enclave
+ * - mock:  in-process stand-in, no enclave
+ *
+ * Falling back to another backend is an explicit policy (TEE_FALLBACK_BACKEND)
+ * and is off by default, so a batch that skipped the enclave is never settled
+ * without the operator having opted in.
+ */
+import { createIexecBackend } from './iexec.js';
+import { createLocalBackend } from './local.js';
+import { createMockBackend } from './mock.js';
+import { log as rootLog } from '../logger.js';
+
+/**
+ * @typedef {object} TeeBackend
+ * @property {string} name
+ * @property {boolean} enclave  True when the output was produced inside an enclave
+ * @property {(intents: object[], hooks?: { onDeal?: Function, onStage?: Function, onTaskStatus?: Function }) => Promise<{ output: object, meta: object }>} run
+ *   `onStage` is called as the run moves through orderbook_match, task_running and result_fetch;
+ *   `onTaskStatus` with each iExec task status (ACTIVE, REVEALING, COMPLETED, FAILED, TIMEOUT)
+ * @property {(meta: object, hooks?: object) => Promise<{ output: object, meta: object }>} [resume]
+ *   Finish a run whose `onDeal` meta was persisted before a restart (iexec only)
+ */
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+const FACTORIES = {
+  iexec: createIexecBackend,
+  local: createLocalBackend,
+  mock: createMockBackend,
+};
+
+export const BACKEND_NAMES = Object.keys(FACTORIES);
+
+export function createBackend(name, options) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown TEE backend "${name}" (expected one of: ${BACKEND_NAMES.join(', ')})`);
+  }
+  return factory(options);
+}
+
+// =============================================================================
+// FALLBACK POLICY
+// =============================================================================
+
+/**
+ * Run `primary`, and only if it throws and a `fallback` was configured, run
+ * that instead. The returned `backend`/`enclave` fields always describe the
+ * backend that actually produced the output.
+ */
+export async function runWithPolicy(primary, fallback, intents, hooks) {
+  try {
+    const { output, meta } = await primary.run(intents, hooks);
+    return { output, meta, backend: primary.name, enclave: primary.enclave };
+  } catch (e) {
+    if (!fallback) throw e;
+
+    const log = hooks.log || rootLog;
+    log.warn('TEE backend failed, falling back per TEE_FALLBACK_BACKEND', {
+      backend: primary.name,
+      fallback: fallback.name,
+      enclave: fallback.enclave,
+      error: e,
+    });
+
+    const { output, meta } = await fallback.run(intents, hooks);
+    return {
+      output,
+      meta,
+      backend: fallback.name,
+      enclave: fallback.enclave,
+      fallbackFrom: primary.name,
+      fallbackReason: e.message,
+    };
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * MoleSwap Oracle - Local Enclave Simulation Backend
+ *
+ * Spawns the real matcher (tee-app/src/app.js) as a child process with the
+ * same IEXEC_IN / IEXEC_OUT contract it gets inside the enclave. The code is
+ * identical, but there is no SGX isolation or attestation.
+ *
+ * The tee-app needs its own dependencies: run `npm install` in tee-app/.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { log as rootLog } from '../logger.js';
+
+// =============================================================================
+// BACKEND
+// =============================================================================
+
+/**
+ * @param {object} options
+ * @param {string} options.appPath       Path to tee-app/src/app.js
+ * @param {string} options.teeSignerKey  Key the matcher signs batches with
+ * @param {number} options.timeoutMs
+ * @returns {import('./index.js').TeeBackend}
+ */
+export function createLocalBackend(options) {
+  async function run(intents, hooks = {}) {
+    const log = hooks.log || rootLog;
+    log.info('Running local TEE simulation', { app: path.basename(options.appPath), intents: intents.length });
+    hooks.onStage?.('task_running');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moleswap-tee-'));
+    const inputDir = path.join(tempDir, 'input');
+    const outputDir = path.join(tempDir, 'output');
+    fs.mkdirSync(inputDir, { recursive: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(inputDir, 'intents.json'), JSON.stringify(intents, null, 2));
+
+    try {
+      await runMatcher(inputDir, outputDir, log);
+      const output = JSON.parse(fs.readFileSync(path.join(outputDir, 'result.json'), 'utf8'));
+      log.info('Local TEE completed');
+      return { output, meta: {} };
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  function runMatcher(inputDir, outputDir, log) {
+    return new Promise((resolve, reject) => {
+      // Only what the enclave would see: none of the oracle's keys or tokens,
+      // and no stray IEXEC_* variable from the oracle's environment
+      const proc = spawn(process.execPath, [options.appPath], {
+        env: {
+          PATH: process.env.PATH,
+          IEXEC_IN: inputDir,
+          IEXEC_OUT: outputDir,
+          TEE_SIGNER_KEY: options.teeSignerKey,
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      const timer = setTimeout(() => {
+        proc.kill('SIGKILL');
+        reject(new Error(`Local TEE timed out after ${options.timeoutMs}ms`));
+      }, options.timeoutMs);
+
+      let stderr = '';
+      proc.stdout.on('data', d => {
+        d.toString().split('\n').filter(Boolean).forEach(line => log.debug('Matcher output', { line }));
+      });
+      proc.stderr.on('data', d => { stderr += d.toString(); });
+
+      proc.on('error', e => {
+        clearTimeout(timer);
+        reject(e);
+      });
+      proc.on('close', code => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          reject(new Error(`Local TEE exited ${code}: ${stderr.slice(0, 200)}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  return { name: 'local', enclave: false, run };
+}
@@ -0,0 +1,100 @@
+/**
+ * MoleSwap Oracle - In-Process Mock Backend
+ *
+ * Produces a matcher-shaped result without leaving the oracle process: every
+ * intent is routed through the AMM, gets a fresh stealth address, and the
+ * batch is signed with the configured TEE signer key. For development and
+ * tests only - the oracle sees the stealth private keys in plaintext.
+ */
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { signBatch } from '../batch.js';
+import { log as rootLog } from '../logger.js';
+
+// =============================================================================
+// BACKEND
+// =============================================================================
+
+/**
+ * @param {object} options
+ * @param {string} options.teeSignerKey  Key the mock signs batches with
+ * @param {number} [options.releaseDelay] Seconds until release (default 90)
+ * @returns {import('./index.js').TeeBackend}
+ */
+export function createMockBackend(options) {
+  const signer = new ethers.Wallet(options.teeSignerKey);
+  const releaseDelay = options.releaseDelay ?? 90;
+
+  async function run(intents, hooks = {}) {
+    (hooks.log || rootLog).info('Running in-process mock TEE', { intents: intents.length });
+    hooks.onStage?.('task_running');
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const ammSettlements = [];
+    const releases = [];
+
+    for (const intent of intents) {
+      const stealth = ethers.Wallet.createRandom();
+      ammSettlements.push({
+        intentId: intent.intentId,
+        stealthAddress: stealth.address,
+        amountOut: intent.amountIn,
+        zeroForOne: intent.tokenIn.toLowerCase() < intent.tokenOut.toLowerCase(),
+      });
+      releases.push({
+        token: intent.tokenOut,
+        stealthAddress: stealth.address,
+        amount: intent.amountIn,
+        releaseTime: timestamp + releaseDelay,
+        encryptedStealthKey: eciesEncrypt(stealth.privateKey, intent.viewingPubKey),
+        intentId: intent.intentId,
+        executed: false,
+      });
+    }
+
+    const settlementBatch = {
+      internalMatches: [],
+      ammSettlements,
+      releases,
+      batchId: ethers.keccak256(ethers.toUtf8Bytes(`mock-${timestamp}-${crypto.randomUUID()}`)),
+      timestamp,
+    };
+    settlementBatch.teeSignature = await signBatch(settlementBatch, signer);
+
+    const output = {
+      settlementBatch,
+      teeSigner: signer.address,
+      summary: {
+        totalIntents: intents.length,
+        internalMatches: 0,
+        ammSwaps: ammSettlements.length,
+        releasesQueued: releases.length,
+        batchId: settlementBatch.batchId,
+      },
+    };
+
+    return { output, meta: {} };
+  }
+
+  return { name: 'mock', enclave: false, run };
+}
+
+// =============================================================================
+// ECIES (same wire format as tee-app: ephPub | iv | tag | ciphertext)
+// =============================================================================
+function eciesEncrypt(plaintext, recipientPubKeyHex) {
+  const ephemeral = ethers.Wallet.createRandom();
+  const sharedSecret = new ethers.SigningKey(ephemeral.privateKey).computeSharedSecret(recipientPubKeyHex);
+  const encryptionKey = crypto.createHash('sha256').update(ethers.getBytes(sharedSecret)).digest();
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return ethers.hexlify(Buffer.concat([
+    ethers.getBytes(ephemeral.signingKey.publicKey),
+    iv,
+    cipher.getAuthTag(),
+    encrypted,
+  ]));
+}
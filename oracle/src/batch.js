@@ -0,0 +1,97 @@
+/**
+ * MoleSwap Oracle - Settlement Batch Encoding
+ *
+ * Mirrors MoleSwapHook._computeBatchHash:
+ *   keccak256(abi.encode(internalMatches, ammSettlements, releases, batchId, timestamp))
+ * The hook recovers the signer from the EIP-191 hash of this value.
+ *
+ * Also holds the batch-level rules the oracle applies before settling: swap
+ * direction from the pool's currency ordering, and gas-based batch sizing.
+ */
+import { ethers } from 'ethers';
+
+// =============================================================================
+// ENCODING
+// =============================================================================
+const INTERNAL_MATCH_TYPE = 'tuple(bytes32 buyIntentId, bytes32 sellIntentId, uint256 matchedAmount)[]';
+const SETTLEMENT_TYPE = 'tuple(bytes32 intentId, address stealthAddress, uint256 amountOut, bool zeroForOne)[]';
+const RELEASE_TYPE = 'tuple(address token, address stealthAddress, uint256 amount, uint256 releaseTime, bytes encryptedStealthKey, bytes32 intentId, bool executed)[]';
+
+export function computeBatchHash(batch) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    [INTERNAL_MATCH_TYPE, SETTLEMENT_TYPE, RELEASE_TYPE, 'bytes32', 'uint256'],
+    [
+      batch.internalMatches.map(m => [m.buyIntentId, m.sellIntentId, m.matchedAmount]),
+      batch.ammSettlements.map(s => [s.intentId, s.stealthAddress, s.amountOut, s.zeroForOne]),
+      batch.releases.map(r => [r.token, r.stealthAddress, r.amount, r.releaseTime, r.encryptedStealthKey, r.intentId, r.executed]),
+      batch.batchId,
+      batch.timestamp,
+    ]
+  );
+  return ethers.keccak256(encoded);
+}
+
+/** Sign a batch the way the hook verifies it (EIP-191 over the batch hash). */
+export function signBatch(batch, wallet) {
+  return wallet.signMessage(ethers.getBytes(computeBatchHash(batch)));
+}
+
+// =============================================================================
+// SWAP DIRECTION
+// =============================================================================
+
+/**
+ * The hook swaps currency0 → currency1 when zeroForOne is true, so the flag
+ * must follow the pool's currency ordering, not the order tokens were named in.
+ */
+export function isZeroForOne(tokenIn, currency0) {
+  return tokenIn.toLowerCase() === currency0.toLowerCase();
+}
+
+/**
+ * Compare each AMM settlement's zeroForOne flag against the pool ordering.
+ * Returns the settlements whose flag is wrong.
+ */
+export function findDirectionMismatches(ammSettlements, intentsById, currency0) {
+  const mismatches = [];
+  for (const settlement of ammSettlements) {
+    const intent = intentsById.get(settlement.intentId.toLowerCase());
+    if (!intent) continue;
+    const expected = isZeroForOne(intent.tokenIn, currency0);
+    if (settlement.zeroForOne !== expected) {
+      mismatches.push({ intentId: settlement.intentId, expected, got: settlement.zeroForOne });
+    }
+  }
+  return mismatches;
+}
+
+// =============================================================================
+// GAS SIZING
+// =============================================================================
+
+/**
+ * @typedef {object} GasCosts
+ * @property {number} base            Fixed cost: signature check, batch bookkeeping, calldata overhead
+ * @property {number} internalMatch   Two transferFroms and the match bookkeeping
+ * @property {number} ammSettlement   One transferFrom plus its own poolManager.unlock swap
+ * @property {number} release         Storing a PendingRelease with its ~160-byte ciphertext
+ */
+
+/** Upper-bound gas for a settlement batch of this composition. */
+export function estimateSettlementGas(batch, costs) {
+  return costs.base
+    + batch.internalMatches.length * costs.internalMatch
+    + batch.ammSettlements.length * costs.ammSettlement
+    + batch.releases.length * costs.release;
+}
+
+/**
+ * How many intents can go to the TEE in one batch. The TEE decides which
+ * intents match internally, so size for the worst case: every intent is an
+ * AMM settlement with its own release.
+ */
+export function maxIntentsPerBatch(costs, gasBudget, maxIntents) {
+  const perIntent = costs.ammSettlement + costs.release;
+  const fit = Math.floor((gasBudget - costs.base) / perIntent);
+  return Math.max(1, Math.min(fit, maxIntents));
+}
@@ -0,0 +1,156 @@
+/**
+ * MoleSwap Oracle - Settlement Bisection
+ *
+ * settleAndQueue is all-or-nothing, so one intent whose transfer or swap
+ * reverts blocks everyone in its batch. When simulation fails with an
+ * intent-level error, the batch is split into settlement units (an internal
+ * match with its two releases, or an AMM settlement with its release) and
+ * bisected with eth_call until the units that revert on their own are found.
+ *
+ * Sub-batches carry a different hash, so the enclave signature does not
+ * cover them. Each simulation therefore signs with a throwaway key and uses
+ * an eth_call state override to make that key the hook's teeSigner. Nothing
+ * signed here is ever sent.
+ */
+import { ethers } from 'ethers';
+import { signBatch } from './batch.js';
+import { decodeError } from './errors.js';
+import { log } from './logger.js';
+
+// MoleSwapHook storage: slot 0 oracle, slot 1 teeSigner (poolManager is immutable)
+const TEE_SIGNER_SLOT = ethers.toBeHex(1, 32);
+
+// Errors that come from the batch as a whole; bisecting cannot isolate an intent
+const BATCH_LEVEL_ERRORS = [
+  'OnlyOracle',
+  'InvalidSignature',
+  'BatchAlreadyProcessed',
+  'PoolNotInitialized',
+  'InvalidReleaseTime',
+  'ECDSAInvalidSignature',
+  'ECDSAInvalidSignatureLength',
+  'ECDSAInvalidSignatureS',
+];
+
+let provider, hook, oracleAddress;
+
+/**
+ * @param {object} deps
+ * @param {import('ethers').JsonRpcProvider} deps.provider
+ * @param {import('ethers').Contract} deps.hook  Hook contract
+ * @param {string} deps.oracleAddress           Caller for simulations (onlyOracle)
+ */
+export function initBisect(deps) {
+  ({ provider, hook, oracleAddress } = deps);
+}
+
+export function isBatchLevel(revert) {
+  return BATCH_LEVEL_ERRORS.includes(revert.name);
+}
+
+// =============================================================================
+// BISECTION
+// =============================================================================
+
+/**
+ * Find the settlement units that revert on their own.
+ *
+ * @param {object} batch  The settlement batch that failed simulation
+ * @returns {Promise<{ supported: boolean, culprits: { intentIds: string[], revert: object }[], unresolved: string[] }>}
+ *   `supported` is false when the RPC rejects state overrides; `unresolved`
+ *   lists intents in groups that only fail together (e.g. a shared balance).
+ */
+export async function bisectBatch(batch) {
+  const signer = ethers.Wallet.createRandom();
+  const units = splitUnits(batch);
+  const culprits = [];
+  const unresolved = [];
+  let calls = 0;
+
+  const simulate = async (subset) => {
+    calls++;
+    const sub = {
+      internalMatches: subset.flatMap(u => u.internalMatches),
+      ammSettlements: subset.flatMap(u => u.ammSettlements),
+      releases: subset.flatMap(u => u.releases),
+      batchId: batch.batchId,
+      timestamp: batch.timestamp,
+    };
+    sub.teeSignature = await signBatch(sub, signer);
+
+    const call = {
+      from: oracleAddress,
+      to: hook.target,
+      data: hook.interface.encodeFunctionData('settleAndQueue', [sub]),
+    };
+    const overrides = {
+      [hook.target]: { stateDiff: { [TEE_SIGNER_SLOT]: ethers.zeroPadValue(signer.address, 32) } },
+    };
+
+    try {
+      await provider.send('eth_call', [call, 'latest', overrides]);
+      return null;
+    } catch (e) {
+      return { error: e, revert: decodeError(e) };
+    }
+  };
+
+  // The full batch must still fail under the override, with revert data;
+  // otherwise the RPC ignored or rejected the override
+  const full = await simulate(units);
+  if (!full) {
+    return { supported: true, culprits, unresolved: units.flatMap(u => u.intentIds) };
+  }
+  if (!full.error.data || full.error.data === '0x' || isBatchLevel(full.revert)) {
+    log.warn('State-override simulation unavailable', { batchId: batch.batchId, revert: full.revert.message });
+    return { supported: false, culprits, unresolved: units.flatMap(u => u.intentIds) };
+  }
+
+  const search = async (subset, revert) => {
+    if (subset.length === 1) {
+      culprits.push({ intentIds: subset[0].intentIds, revert });
+      return;
+    }
+    const mid = Math.ceil(subset.length / 2);
+    const halves = [subset.slice(0, mid), subset.slice(mid)];
+    let found = false;
+    for (const half of halves) {
+      const failure = await simulate(half);
+      if (failure) {
+        found = true;
+        await search(half, failure.revert);
+      }
+    }
+    if (!found) unresolved.push(...subset.flatMap(u => u.intentIds));
+  };
+
+  await search(units, full.revert);
+  log.info('Bisection finished', {
+    batchId: batch.batchId,
+    simulations: calls,
+    culprits: culprits.map(c => c.intentIds),
+    unresolved,
+  });
+
+  return { supported: true, culprits, unresolved };
+}
+
+/** Split a batch into units that settle independently of each other. */
+export function splitUnits(batch) {
+  const releasesFor = id => batch.releases.filter(r => r.intentId.toLowerCase() === id.toLowerCase());
+
+  return [
+    ...batch.internalMatches.map(m => ({
+      intentIds: [m.buyIntentId, m.sellIntentId],
+      internalMatches: [m],
+      ammSettlements: [],
+      releases: [...releasesFor(m.buyIntentId), ...releasesFor(m.sellIntentId)],
+    })),
+    ...batch.ammSettlements.map(s => ({
+      intentIds: [s.intentId],
+      internalMatches: [],
+      ammSettlements: [s],
+      releases: releasesFor(s.intentId),
+    })),
+  ];
+}
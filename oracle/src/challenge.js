@@ -0,0 +1,105 @@
+/**
+ * MoleSwap Oracle - Faucet Challenges
+ *
+ * Optional extra cost on a faucet request (FAUCET_CHALLENGE):
+ * - none:      no challenge
+ * - pow:       find a `solution` such that
+ *              keccak256("<challenge>:<address>:<solution>") starts with
+ *              FAUCET_POW_DIFFICULTY zero bits
+ * - signature: sign challengeMessage(address, challenge) with the address
+ *              being funded, proving its key is held rather than made up
+ *
+ * Challenges are single-use, expire after a few minutes and only live in
+ * memory: one lost in a restart is simply requested again.
+ */
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+// =============================================================================
+// STATE
+// =============================================================================
+const MAX_OPEN_CHALLENGES = 10000;
+
+let mode = 'none';
+let difficulty = 18;
+let ttlMs = 5 * 60 * 1000;
+const open = new Map(); // challenge → { address, expiresAt }
+
+/**
+ * @param {object} options
+ * @param {'none' | 'pow' | 'signature'} options.mode
+ * @param {number} [options.difficulty]  Leading zero bits for pow
+ * @param {number} [options.ttlMs]
+ */
+export function initChallenge(options) {
+  if (!['none', 'pow', 'signature'].includes(options.mode)) {
+    throw new Error(`FAUCET_CHALLENGE must be none, pow or signature, got "${options.mode}"`);
+  }
+  mode = options.mode;
+  difficulty = options.difficulty ?? difficulty;
+  ttlMs = options.ttlMs ?? ttlMs;
+}
+
+export function challengeMode() {
+  return mode;
+}
+
+export function challengeMessage(address, challenge) {
+  return `MoleSwap faucet\nAddress: ${ethers.getAddress(address)}\nChallenge: ${challenge}`;
+}
+
+// =============================================================================
+// ISSUE & VERIFY
+// =============================================================================
+
+/** A new challenge for `address` (nothing to solve when the mode is none). */
+export function issueChallenge(address) {
+  if (mode === 'none') return { mode };
+
+  const now = Date.now();
+  for (const [challenge, entry] of open) {
+    if (entry.expiresAt <= now || open.size >= MAX_OPEN_CHALLENGES) open.delete(challenge);
+    else break; // Map keeps insertion order, so the rest expire later
+  }
+
+  const challenge = ethers.hexlify(crypto.randomBytes(16));
+  const expiresAt = now + ttlMs;
+  open.set(challenge, { address: address.toLowerCase(), expiresAt });
+
+  return mode === 'pow'
+    ? { mode, challenge, difficulty, expiresAt }
+    : { mode, challenge, message: challengeMessage(address, challenge), expiresAt };
+}
+
+/**
+ * Check and consume the challenge answered in a faucet request body.
+ *
+ * @returns {string | null} Why the answer was refused, or null if accepted
+ */
+export function verifyChallenge(address, { challenge, solution, signature } = {}) {
+  if (mode === 'none') return null;
+
+  const entry = typeof challenge === 'string' && open.get(challenge);
+  if (!entry || entry.expiresAt <= Date.now() || entry.address !== address.toLowerCase()) {
+    return 'Missing or expired challenge. Request a new one from GET /faucet/challenge.';
+  }
+  open.delete(challenge);
+
+  if (mode === 'pow') {
+    if (typeof solution !== 'string' || solution.length > 64) return 'Missing proof-of-work solution';
+    const hash = ethers.id(`${challenge}:${address.toLowerCase()}:${solution}`);
+    return leadingZeroBits(hash) >= difficulty ? null : 'Proof-of-work solution does not meet the difficulty';
+  }
+
+  try {
+    const signer = ethers.verifyMessage(challengeMessage(address, challenge), signature);
+    return signer.toLowerCase() === address.toLowerCase() ? null : 'Challenge must be signed by the address being funded';
+  } catch {
+    return 'Invalid challenge signature';
+  }
+}
+
+function leadingZeroBits(hash) {
+  const value = BigInt(hash);
+  return value === 0n ? 256 : 256 - value.toString(2).length;
+}
@@ -0,0 +1,130 @@
+/**
+ * MoleSwap Oracle - iExec Stake Claims
+ *
+ * A deal's price (app + workerpool) stays locked in the oracle's iExec
+ * account until its task completes. When a task fails or reaches its final
+ * deadline, the deal is tracked here and claimed once that deadline has
+ * passed, which unlocks the price back into the stake:
+ * - Claims are kept in the store, so a restart keeps sweeping them
+ * - A task that completes late needs no claim: the workerpool earned it
+ * - A task already FAILED on-chain was claimed by someone else; the refund
+ *   still went to the oracle as the requester
+ * - Failed claim transactions are retried on the next sweep
+ */
+import * as store from './store.js';
+import { raiseAlert } from './alerts.js';
+import { inc } from './metrics.js';
+import { log } from './logger.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+const TASK_COMPLETED = 3;
+const TASK_FAILED = 4;
+
+let iexec = null;
+let alertAfter = 5;
+let sweeping = false;
+
+/**
+ * @param {object} deps
+ * @param {import('iexec').IExec} deps.iexec
+ * @param {number} [deps.alertAfter]  Failed claim attempts before an operator alert
+ */
+export function initClaims(deps) {
+  iexec = deps.iexec;
+  alertAfter = deps.alertAfter ?? alertAfter;
+}
+
+// =============================================================================
+// TRACKING
+// =============================================================================
+
+/**
+ * Remember a deal whose task did not complete in time so its stake can be
+ * reclaimed after the final deadline.
+ *
+ * @param {object} deal
+ * @param {string} deal.dealId
+ * @param {string} deal.taskId
+ * @param {string} [deal.explorerUrl]
+ * @param {string} [deal.workerpool]
+ * @param {{ total: string }} [deal.price]   What the deal locked, in nRLC
+ * @param {'failed' | 'timeout'} deal.reason
+ */
+export function trackClaim({ dealId, taskId, explorerUrl, workerpool, price, reason }) {
+  if (store.getClaim(dealId)) return;
+  store.saveClaim(dealId, { taskId, explorerUrl, workerpool, amount: price?.total || '0', reason, status: 'pending', attempts: 0 });
+  log.info('Deal tracked for stake claim', { dealId, taskId, reason });
+}
+
+export function pendingClaims() {
+  return store.listClaims(c => c.status === 'pending');
+}
+
+// =============================================================================
+// SWEEP
+// =============================================================================
+
+/** Claim every pending deal whose final deadline has passed. */
+export async function sweepClaims() {
+  if (sweeping || !iexec) return;
+  sweeping = true;
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    for (const claim of pendingClaims()) {
+      if (claim.finalTime && claim.finalTime > now) continue;
+      await settleClaim(claim);
+    }
+  } finally {
+    sweeping = false;
+  }
+}
+
+async function settleClaim(claim) {
+  const clog = log.child({ dealId: claim.dealId, taskId: claim.taskId });
+  try {
+    const [deal, status] = await Promise.all([
+      iexec.deal.show(claim.dealId),
+      // A task nobody initialized does not exist on-chain yet
+      iexec.task.show(claim.taskId).then(t => t.status, () => 0),
+    ]);
+
+    if (status === TASK_COMPLETED) {
+      store.saveClaim(claim.dealId, { status: 'not_needed', resolvedAt: Date.now() });
+      clog.info('Task completed after all; nothing to claim');
+      return;
+    }
+
+    if (status === TASK_FAILED) {
+      markClaimed(claim, { claimedBy: 'other' });
+      clog.info('Task already claimed; stake was refunded', { amountNrlc: claim.amount });
+      return;
+    }
+
+    if (!deal.deadlineReached) {
+      store.saveClaim(claim.dealId, { finalTime: Number(deal.finalTime.toString()) });
+      return;
+    }
+
+    const { transactions } = await iexec.deal.claim(claim.dealId);
+    const claimTx = transactions.at(-1)?.txHash;
+    markClaimed(claim, { claimedBy: 'oracle', claimTx });
+    clog.info('Stake reclaimed', { txHash: claimTx, amountNrlc: claim.amount });
+  } catch (e) {
+    const attempts = (claim.attempts || 0) + 1;
+    store.saveClaim(claim.dealId, { attempts, lastError: e.shortMessage || e.message });
+    clog.warn('Stake claim failed, retrying on the next sweep', { attempt: attempts, error: e });
+    if (attempts === alertAfter) {
+      raiseAlert('claim_failing', `Stake claim for deal ${claim.dealId} has failed ${attempts} times`, {
+        taskId: claim.taskId,
+        error: e.shortMessage || e.message,
+      });
+    }
+  }
+}
+
+function markClaimed(claim, fields) {
+  store.saveClaim(claim.dealId, { ...fields, status: 'claimed', lastError: null, resolvedAt: Date.now() });
+  inc('moleswap_iexec_rlc_reclaimed_total', {}, Number(claim.amount) / 1e9);
+}
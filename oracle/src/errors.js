@@ -0,0 +1,174 @@
+/**
+ * MoleSwap Oracle - Error Catalog
+ *
+ * One place that turns a failed call into something a user can act on. Every
+ * known failure has a stable code (what the store, /status and the frontend
+ * key on) and guidance text:
+ * - MoleSwapHook custom errors
+ * - ERC20 / SafeERC20 / ECDSA errors bubbled up through the hook
+ * - require() reasons and Solidity panics
+ * - ethers error codes (wallet rejection, RPC trouble, gas funds)
+ * - oracle-side checks that never reach the chain (admission, TEE output)
+ *
+ * The catalog is served at GET /errors so the frontend decodes reverts from
+ * the same table instead of showing raw RPC text.
+ */
+import { ethers } from 'ethers';
+
+// =============================================================================
+// CATALOG
+// =============================================================================
+
+/**
+ * @typedef {object} CatalogEntry
+ * @property {string} code          Stable machine-readable code
+ * @property {string} [error]       Solidity error signature it decodes from
+ * @property {string} [reason]      Error(string) reason it matches
+ * @property {number} [panic]       Panic(uint256) code it matches
+ * @property {string} [ethersCode]  ethers error code it matches
+ * @property {string} guidance
+ */
+
+/** @type {CatalogEntry[]} */
+const CATALOG = [
+  // MoleSwapHook
+  { code: 'ONLY_ORACLE', error: 'OnlyOracle()', guidance: 'Only the oracle wallet can settle batches. Check that PRIVATE_KEY matches the hook\'s oracle().' },
+  { code: 'ONLY_OWNER', error: 'OnlyOwner()', guidance: 'Only the hook owner can change its configuration.' },
+  { code: 'ONLY_POOL_MANAGER', error: 'OnlyPoolManager()', guidance: 'Hook callbacks can only be called by the Uniswap v4 PoolManager.' },
+  { code: 'INVALID_SIGNATURE', error: 'InvalidSignature()', guidance: 'The batch signature does not recover to the hook\'s teeSigner. Check EXPECTED_TEE_SIGNER and the enclave key.' },
+  { code: 'BATCH_ALREADY_PROCESSED', error: 'BatchAlreadyProcessed()', guidance: 'This batchId has already been settled; nothing more to do.' },
+  { code: 'INTENT_NOT_FOUND', error: 'IntentNotFound()', guidance: 'The intent or release does not exist on the hook, or you are not its sender.' },
+  { code: 'INTENT_ALREADY_SETTLED', error: 'IntentAlreadySettled()', guidance: 'The intent has already been settled or cancelled.' },
+  { code: 'INTENT_EXPIRED', error: 'IntentExpired()', guidance: 'The intent deadline passed before it settled. Cancel it; your tokens never left your wallet.' },
+  { code: 'RELEASE_NOT_READY', error: 'ReleaseNotReady()', guidance: 'The release time has not been reached yet. It will be executed automatically.' },
+  { code: 'RELEASE_ALREADY_EXECUTED', error: 'ReleaseAlreadyExecuted()', guidance: 'The release has already been paid to the stealth address.' },
+  { code: 'INVALID_RELEASE_TIME', error: 'InvalidReleaseTime()', guidance: 'A release time falls outside the hook\'s 60-180s window. In resign mode the oracle re-times releases when it signs; a relayed enclave batch keeps its times and is checked before sending.' },
+  { code: 'POOL_NOT_INITIALIZED', error: 'PoolNotInitialized()', guidance: 'The MoleSwap pool has not been initialized on the PoolManager.' },
+  { code: 'INSUFFICIENT_OUTPUT', error: 'InsufficientOutput()', guidance: 'The AMM swap returned less than the minimum output. Pool liquidity may be too low for this size.' },
+
+  // ERC20 / SafeERC20 / ECDSA
+  { code: 'INSUFFICIENT_BALANCE', error: 'ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)', guidance: 'The sender does not hold enough of the input token. Top up the balance; the intent is retried automatically.' },
+  { code: 'INSUFFICIENT_ALLOWANCE', error: 'ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)', guidance: 'The hook is not approved for enough of the input token. Approve the hook; the intent is retried automatically.' },
+  { code: 'INVALID_TOKEN_SENDER', error: 'ERC20InvalidSender(address sender)', guidance: 'Tokens cannot be sent from the zero address.' },
+  { code: 'INVALID_TOKEN_RECEIVER', error: 'ERC20InvalidReceiver(address receiver)', guidance: 'Tokens cannot be sent to the zero address.' },
+  { code: 'TOKEN_TRANSFER_FAILED', error: 'SafeERC20FailedOperation(address token)', guidance: 'The token rejected the transfer. Check the token contract and the sender\'s balance and approval.' },
+  { code: 'MALFORMED_SIGNATURE', error: 'ECDSAInvalidSignature()', guidance: 'The batch signature is not a valid ECDSA signature.' },
+  { code: 'MALFORMED_SIGNATURE', error: 'ECDSAInvalidSignatureLength(uint256 length)', guidance: 'The batch signature has the wrong length.' },
+  { code: 'MALFORMED_SIGNATURE', error: 'ECDSAInvalidSignatureS(bytes32 s)', guidance: 'The batch signature has a malleable s value.' },
+
+  // require() reasons from submitIntent
+  { code: 'DEADLINE_PASSED', error: 'Error(string)', reason: 'Deadline passed', guidance: 'The deadline must be in the future when the intent is submitted.' },
+  { code: 'ZERO_AMOUNT', error: 'Error(string)', reason: 'Zero amount', guidance: 'Enter an amount greater than zero.' },
+  { code: 'INVALID_VIEWING_KEY', error: 'Error(string)', reason: 'Invalid viewing key length', guidance: 'The viewing key must be a 65-byte uncompressed public key. Generate a new viewing key.' },
+  { code: 'REVERTED', error: 'Error(string)', guidance: 'The contract reverted with a reason string.' },
+
+  // Panics
+  { code: 'ARITHMETIC_OVERFLOW', error: 'Panic(uint256)', panic: 0x11, guidance: 'Arithmetic over/underflow. With mock tokens this usually means insufficient balance or allowance.' },
+  { code: 'DIVISION_BY_ZERO', error: 'Panic(uint256)', panic: 0x12, guidance: 'Division by zero in the contract.' },
+  { code: 'PANIC', error: 'Panic(uint256)', guidance: 'The contract hit an internal assertion.' },
+
+  // ethers / wallet / RPC
+  { code: 'USER_REJECTED', ethersCode: 'ACTION_REJECTED', guidance: 'The transaction was rejected in the wallet.' },
+  { code: 'INSUFFICIENT_GAS_FUNDS', ethersCode: 'INSUFFICIENT_FUNDS', guidance: 'The sending wallet does not have enough ETH for gas.' },
+  { code: 'NONCE_CONFLICT', ethersCode: 'NONCE_EXPIRED', guidance: 'The nonce was already used. The transaction will be re-sent with a fresh nonce.' },
+  { code: 'RPC_UNAVAILABLE', ethersCode: 'NETWORK_ERROR', guidance: 'The RPC endpoint could not be reached. It is retried automatically.' },
+  { code: 'RPC_UNAVAILABLE', ethersCode: 'TIMEOUT', guidance: 'The RPC endpoint timed out. It is retried automatically.' },
+  { code: 'RPC_UNAVAILABLE', ethersCode: 'SERVER_ERROR', guidance: 'The RPC endpoint returned an error. It is retried automatically.' },
+
+  // Oracle-side checks
+  { code: 'DEADLINE_TOO_CLOSE', guidance: 'The deadline is too close to run the TEE and settle. Cancel and resubmit with a later deadline.' },
+  { code: 'RELEASE_WINDOW_MISSED', guidance: 'The TEE result came back too late for its release times to fit the hook\'s 60-180s window. The intent is queued again without using up a retry attempt.' },
+  { code: 'TEE_OUTPUT_INVALID', guidance: 'The TEE returned a settlement the oracle could not verify. The intent is retried in a new batch.' },
+  { code: 'UNKNOWN_ERROR', guidance: 'An unexpected error occurred. The intent is retried automatically.' },
+];
+
+const ERROR_SIGNATURES = [...new Set(CATALOG.filter(e => e.error && !isBuiltin(e.error)).map(e => e.error))];
+
+/** Error fragments to include in any contract ABI that calls the hook. */
+export const ERROR_ABI = ERROR_SIGNATURES.map(signature => `error ${signature}`);
+
+const errorInterface = new ethers.Interface(ERROR_ABI);
+
+// =============================================================================
+// DECODING
+// =============================================================================
+
+/**
+ * Turn a thrown call/transaction error into a catalogued failure.
+ *
+ * @returns {{ code: string, name: string, args: string[], message: string, guidance: string }}
+ *   `name`/`args` are the decoded Solidity error, `message` a one-line
+ *   rendering of it for logs.
+ */
+export function decodeError(error) {
+  const data = error?.data ?? error?.info?.error?.data ?? error?.error?.data;
+  if (typeof data === 'string' && data.length >= 10) {
+    try {
+      const parsed = errorInterface.parseError(data);
+      if (parsed) return describe(parsed.name, parsed.args.map(a => a.toString()));
+    } catch {}
+  }
+  if (error?.revert) {
+    return describe(error.revert.name, error.revert.args.map(a => a.toString()));
+  }
+  if (error?.reason) {
+    return describe('Error', [error.reason]);
+  }
+
+  const entry = CATALOG.find(e => e.ethersCode && e.ethersCode === error?.code) || lookupCode('UNKNOWN_ERROR');
+  return {
+    code: entry.code,
+    name: 'Unknown',
+    args: [],
+    message: error?.shortMessage || error?.message || String(error),
+    guidance: entry.guidance,
+  };
+}
+
+function describe(name, args) {
+  const entry = CATALOG.find(e => e.error && errorName(e.error) === name && matches(e, args))
+    || lookupCode('UNKNOWN_ERROR');
+  return {
+    code: entry.code,
+    name,
+    args,
+    message: name === 'Error' ? args[0] : `${name}(${args.join(', ')})`,
+    guidance: entry.guidance,
+  };
+}
+
+// Entries with a reason or panic code only match that value; the generic
+// entry for the same error comes after them in CATALOG
+function matches(entry, args) {
+  if (entry.reason !== undefined) return args[0] === entry.reason;
+  if (entry.panic !== undefined) return Number(args[0]) === entry.panic;
+  return true;
+}
+
+/** Guidance for a code recorded earlier (falls back to UNKNOWN_ERROR). */
+export function lookupCode(code) {
+  return CATALOG.find(e => e.code === code) || CATALOG.find(e => e.code === 'UNKNOWN_ERROR');
+}
+
+/** The catalog as served by GET /errors, with selectors for on-chain errors. */
+export function errorCatalog() {
+  return CATALOG.map(entry => ({
+    ...entry,
+    selector: entry.error ? ethers.id(canonical(entry.error)).slice(0, 10) : undefined,
+  }));
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+function errorName(signature) {
+  return signature.slice(0, signature.indexOf('('));
+}
+
+function isBuiltin(signature) {
+  return ['Error', 'Panic'].includes(errorName(signature));
+}
+
+function canonical(signature) {
+  return ethers.ErrorFragment.from(`error ${signature}`).format('sighash');
+}
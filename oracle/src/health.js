@@ -0,0 +1,166 @@
+/**
+ * MoleSwap Oracle - Readiness Checks
+ *
+ * GET /health/ready runs every check below and is only 200 when none fails:
+ * - rpc:             latest block is recent
+ * - ingestion:       event ingestion has not stopped on a too-deep reorg
+ * - hook_oracle:     hook.oracle() is our wallet
+ * - hook_tee_signer: hook.teeSigner() is the signer this mode settles with
+ * - iexec_orders:    a TEE app + workerpool order pair fits the batch budget
+ * - rlc_balance:     stake covers one batch at the best pair's price
+ * - hook_liquidity:  the hook holds enough of each token for AMM payouts
+ *
+ * iExec checks are skipped when the primary backend does not use iExec.
+ * Results are cached briefly so frequent probes do not hammer the RPC.
+ */
+import { ethers } from 'ethers';
+import { findOrders } from './backends/iexec.js';
+import { ingestHalted } from './ingest.js';
+
+const ERC20_ABI = ['function balanceOf(address) view returns (uint256)'];
+
+// =============================================================================
+// STATE
+// =============================================================================
+let deps;
+let cached = null; // { at, result }
+
+/**
+ * @param {object} options
+ * @param {import('ethers').Provider} options.provider
+ * @param {import('ethers').Contract} options.hook
+ * @param {string} options.oracleAddress
+ * @param {string} [options.expectedTeeSigner]  Skipped when unknown
+ * @param {import('iexec').IExec | null} options.iexec  null when iExec is not the primary backend
+ * @param {string} options.app
+ * @param {string[]} options.workerpools
+ * @param {bigint} options.maxPrice           Budget per batch, in nRLC
+ * @param {string} options.teeTag
+ * @param {{ symbol: string, address: string }[]} options.tokens
+ * @param {bigint} options.minLiquidity       Per token, in wei
+ * @param {number} options.maxBlockAgeSec
+ * @param {number} options.cacheMs
+ * @param {number} options.timeoutMs          Per check
+ */
+export function initHealth(options) {
+  deps = options;
+}
+
+// =============================================================================
+// READINESS
+// =============================================================================
+
+/**
+ * @returns {Promise<{ ready: boolean, checkedAt: number, checks: { name: string, status: 'pass' | 'fail' | 'skip', detail: string }[] }>}
+ */
+export async function checkReadiness() {
+  if (cached && Date.now() - cached.at < deps.cacheMs) return cached.result;
+
+  const orders = deps.iexec ? findOrders(deps.iexec, deps) : null;
+  const checks = await Promise.all([
+    run('rpc', checkRpc),
+    run('ingestion', checkIngestion),
+    run('hook_oracle', checkOracle),
+    run('hook_tee_signer', checkTeeSigner),
+    run('iexec_orders', () => checkOrders(orders)),
+    run('rlc_balance', () => checkRlc(orders)),
+    run('hook_liquidity', checkLiquidity),
+  ]);
+
+  const result = { ready: checks.every(c => c.status !== 'fail'), checkedAt: Date.now(), checks };
+  cached = { at: Date.now(), result };
+  return result;
+}
+
+async function run(name, check) {
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${deps.timeoutMs}ms`)), deps.timeoutMs);
+    });
+    return { name, ...(await Promise.race([check(), timeout])) };
+  } catch (e) {
+    return { name, status: 'fail', detail: e.shortMessage || e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+async function checkRpc() {
+  const block = await deps.provider.getBlock('latest');
+  const age = Math.floor(Date.now() / 1000) - block.timestamp;
+  return age <= deps.maxBlockAgeSec
+    ? { status: 'pass', detail: `block ${block.number} is ${age}s old` }
+    : { status: 'fail', detail: `latest block ${block.number} is ${age}s old (max ${deps.maxBlockAgeSec}s)` };
+}
+
+async function checkIngestion() {
+  const halted = ingestHalted();
+  return halted
+    ? { status: 'fail', detail: `stopped: ${halted}` }
+    : { status: 'pass', detail: 'following the chain' };
+}
+
+async function checkOracle() {
+  const oracle = await deps.hook.oracle();
+  return sameAddress(oracle, deps.oracleAddress)
+    ? { status: 'pass', detail: `hook oracle is ${oracle}` }
+    : { status: 'fail', detail: `hook oracle is ${oracle}, this wallet is ${deps.oracleAddress}` };
+}
+
+async function checkTeeSigner() {
+  if (!deps.expectedTeeSigner) {
+    return { status: 'skip', detail: 'no expected TEE signer configured (set EXPECTED_TEE_SIGNER)' };
+  }
+  const signer = await deps.hook.teeSigner();
+  return sameAddress(signer, deps.expectedTeeSigner)
+    ? { status: 'pass', detail: `hook teeSigner is ${signer}` }
+    : { status: 'fail', detail: `hook teeSigner is ${signer}, expected ${deps.expectedTeeSigner}` };
+}
+
+async function checkOrders(orders) {
+  if (!orders) return { status: 'skip', detail: 'primary backend does not use iExec' };
+  const { candidates, cheapest } = await orders;
+  if (candidates.length > 0) {
+    const best = candidates[0];
+    return { status: 'pass', detail: `${candidates.length} order(s) within budget, best ${best.total} nRLC on ${best.workerpool}` };
+  }
+  return cheapest
+    ? { status: 'fail', detail: `cheapest order is ${cheapest.total} nRLC on ${cheapest.workerpool}, budget is ${deps.maxPrice} nRLC` }
+    : { status: 'fail', detail: `no app + workerpool order pair with tag ${deps.teeTag} on ${deps.workerpools.join(', ')}` };
+}
+
+async function checkRlc(orders) {
+  if (!orders) return { status: 'skip', detail: 'primary backend does not use iExec' };
+  const [{ candidates, cheapest }, balance] = await Promise.all([
+    orders,
+    deps.iexec.account.checkBalance(deps.oracleAddress),
+  ]);
+  const stake = BigInt(balance.stake.toString());
+  const cost = (candidates[0] || cheapest)?.total ?? 0n;
+  const detail = `stake ${ethers.formatUnits(stake, 9)} RLC, one batch costs ${ethers.formatUnits(cost, 9)} RLC`;
+  return stake >= cost ? { status: 'pass', detail } : { status: 'fail', detail };
+}
+
+async function checkLiquidity() {
+  const balances = await Promise.all(deps.tokens.map(async token => {
+    const contract = new ethers.Contract(token.address, ERC20_ABI, deps.provider);
+    return { ...token, balance: await contract.balanceOf(deps.hook.target) };
+  }));
+  const low = balances.filter(t => t.balance < deps.minLiquidity);
+  const detail = balances.map(t => `${t.symbol} ${ethers.formatUnits(t.balance, 18)}`).join(', ');
+  return low.length === 0
+    ? { status: 'pass', detail }
+    : { status: 'fail', detail: `${detail} (minimum ${ethers.formatUnits(deps.minLiquidity, 18)} each)` };
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
@@ -7,13 +7,53 @@
  * - Dual signature format support (EIP-191 + raw ECDSA)
  * - Automatic releaseTime to delay conversion
  * - Token faucet for hackathon reviewers
+ * - Pluggable TEE backends (iExec, local simulation, mock)
  * - Comprehensive error handling
  */
 import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { ethers } from 'ethers';
-import { IExec, utils } from 'iexec';
+import { IExec } from 'iexec';
 import express from 'express';
 import cors from 'cors';
+import * as store from './store.js';
+import { initIngest, ingestEvents } from './ingest.js';
+import { initRetry, isDue, failIntent, deferIntent, redriveIntent } from './retry.js';
+import { createBackend, runWithPolicy } from './backends/index.js';
+import {
+  computeBatchHash,
+  signBatch,
+  isZeroForOne,
+  findDirectionMismatches,
+  estimateSettlementGas,
+  maxIntentsPerBatch,
+} from './batch.js';
+import { initAlerts, raiseAlert, recentAlerts } from './alerts.js';
+import { validateTeeOutput, dropIntents } from './validate.js';
+import { initAdmission, admitIntents } from './admission.js';
+import { initBisect, isBatchLevel, bisectBatch } from './bisect.js';
+import { ERROR_ABI, decodeError, lookupCode, errorCatalog } from './errors.js';
+import { inc, observe, setGauge, resetGauge, addCollector, renderMetrics } from './metrics.js';
+import { initLogger, log } from './logger.js';
+import { initTxManager, sendCall, monitorTransactions, managedSigner } from './txmanager.js';
+import {
+  initReleases,
+  syncReleases,
+  trackRelease,
+  executeRelease,
+  sweepReadyReleases,
+  scheduledReleases,
+  pauseReleases,
+  resumeReleases,
+} from './releases.js';
+import { initAdmin, requireAdmin } from './admin.js';
+import { initRateLimits, take, peek, rateLimit, pruneFullBuckets, formatWait } from './ratelimit.js';
+import { initChallenge, issueChallenge, verifyChallenge } from './challenge.js';
+import { initHealth, checkReadiness } from './health.js';
+import { initClaims, sweepClaims, pendingClaims } from './claims.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // =============================================================================
 // CONFIGURATION
@@ -30,26 +70,124 @@ const CONFIG = {
   
   // iExec TEE
   IEXEC_APP: '0x0EB32Cd94495c47102c95c08dEEA13F80DB20B4f',
-  WORKERPOOL: '0xB967057a21dc6A66A29721d96b8Aa7454B7c383F',
+  // Workerpools to buy TEE tasks from; ties on price go to the first listed (comma-separated)
+  IEXEC_WORKERPOOLS: (process.env.IEXEC_WORKERPOOLS || '0xB967057a21dc6A66A29721d96b8Aa7454B7c383F')
+    .split(',').map(a => a.trim()).filter(Boolean),
+  // Most a batch may cost (app + workerpool price), in nRLC
+  IEXEC_MAX_BATCH_PRICE: BigInt(process.env.IEXEC_MAX_BATCH_PRICE || '100000000'),
   IEXEC_TEE_TAG: '0x0000000000000000000000000000000000000000000000000000000000000003',
   
   // TEE Signer - MUST match the authorized signer in your hook contract
   // Default is Hardhat account #1. Change this to match your contract's authorized TEE signer.
   TEE_SIGNER_KEY: process.env.TEE_SIGNER_KEY || '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
   
+  // TEE execution backend: iexec | local | mock
+  TEE_BACKEND: process.env.TEE_BACKEND || 'iexec',
+  // Backend to use when the primary fails. Empty = no fallback (default)
+  TEE_FALLBACK_BACKEND: process.env.TEE_FALLBACK_BACKEND || '',
+  // resign: rebuild the batch and sign it with the oracle wallet (default, no TEE guarantee)
+  // relay: settle the enclave-signed batch verbatim (strict; release times cannot be refreshed)
+  TEE_SIGNATURE_MODE: process.env.TEE_SIGNATURE_MODE || 'resign',
+  // Enclave signer address; defaults to the hook's current teeSigner()
+  EXPECTED_TEE_SIGNER: process.env.EXPECTED_TEE_SIGNER || '',
+  ALERT_WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL || '',
+  LOCAL_TEE_APP_PATH: process.env.LOCAL_TEE_APP_PATH || path.resolve(__dirname, '../../tee-app/src/app.js'),
+
   // Timing
   BATCH_INTERVAL_MS: parseInt(process.env.BATCH_INTERVAL_MS) || 60000,
-  TASK_POLL_INTERVAL_MS: 5000,
+  RELEASE_INTERVAL_MS: parseInt(process.env.RELEASE_INTERVAL_MS) || 15000,
+  RELEASE_MARGIN_MS: parseInt(process.env.RELEASE_MARGIN_MS) || 2000,
+  MAX_CONCURRENT_BATCHES: parseInt(process.env.MAX_CONCURRENT_BATCHES) || 3,
   TASK_TIMEOUT_MS: 300000, // 5 minutes
+  // How often failed or timed-out deals are checked for a stake claim
+  CLAIM_INTERVAL_MS: parseInt(process.env.CLAIM_INTERVAL_MS) || 60000,
   
   // Server
   HTTP_PORT: parseInt(process.env.HTTP_PORT) || 3001,
+  EVENTS_HEARTBEAT_MS: 15000,
+  EVENTS_MAX_INTENTS: 20,
+  // /events: open streams allowed in total, and new streams per IP per minute
+  EVENTS_MAX_CLIENTS: parseInt(process.env.EVENTS_MAX_CLIENTS) || 500,
+  EVENTS_IP_PER_MINUTE: parseInt(process.env.EVENTS_IP_PER_MINUTE) || 20,
+
+  // Readiness (/health/ready)
+  HEALTH_MAX_BLOCK_AGE_SEC: parseInt(process.env.HEALTH_MAX_BLOCK_AGE_SEC) || 120,
+  HEALTH_MIN_HOOK_LIQUIDITY: process.env.HEALTH_MIN_HOOK_LIQUIDITY || '100',
+  HEALTH_CACHE_MS: 15000,
+  HEALTH_CHECK_TIMEOUT_MS: 10000,
+
+  // Admin API: bearer token and/or addresses that may sign in with a signed message
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+  ADMIN_ADDRESSES: (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.trim()).filter(Boolean),
+  ADMIN_SIGNATURE_TTL_SEC: parseInt(process.env.ADMIN_SIGNATURE_TTL_SEC) || 600,
+  ADMIN_RECENT_BATCHES: 25,
   
+  // Allowed browser origins (comma-separated); empty allows any origin
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+  // Proxy hops in front of the oracle, so req.ip is the client (Railway: 1)
+  TRUST_PROXY: parseInt(process.env.TRUST_PROXY ?? '1'),
+
   // Faucet
   FAUCET_AMOUNT: '1000',
-  FAUCET_COOLDOWN_MS: 60 * 60 * 1000, // 1 hour
+  FAUCET_ADDRESS_PER_DAY: parseInt(process.env.FAUCET_ADDRESS_PER_DAY) || 3,
+  FAUCET_IP_PER_HOUR: parseInt(process.env.FAUCET_IP_PER_HOUR) || 5,
+  // Tokens of each faucet token paid out per UTC day
+  FAUCET_DAILY_BUDGET: parseInt(process.env.FAUCET_DAILY_BUDGET) || 100000,
+  // none | pow | signature
+  FAUCET_CHALLENGE: process.env.FAUCET_CHALLENGE || 'none',
+  FAUCET_POW_DIFFICULTY: parseInt(process.env.FAUCET_POW_DIFFICULTY) || 18,
+
+  // /submit: per-IP limit, and calls within the debounce window share one scheduling pass
+  SUBMIT_IP_PER_MINUTE: parseInt(process.env.SUBMIT_IP_PER_MINUTE) || 30,
+  SUBMIT_DEBOUNCE_MS: parseInt(process.env.SUBMIT_DEBOUNCE_MS) || 2000,
+
+  // Persistence - point at a mounted volume in production
+  STORE_PATH: process.env.STORE_PATH || 'data/oracle-store.json',
+  // Finished intents, batches, releases, claims and txs move to the archive after this long
+  STORE_RETENTION_DAYS: parseFloat(process.env.STORE_RETENTION_DAYS) || 7,
+
+  // Event ingestion
+  HOOK_DEPLOY_BLOCK: parseInt(process.env.HOOK_DEPLOY_BLOCK) || 240571449,
+  CONFIRMATIONS: parseInt(process.env.CONFIRMATIONS ?? '20'),
+  LOG_CHUNK_SIZE: parseInt(process.env.LOG_CHUNK_SIZE) || 10000,
+  REORG_CHECKPOINTS: parseInt(process.env.REORG_CHECKPOINTS) || 64,
+  INGEST_INTERVAL_MS: parseInt(process.env.INGEST_INTERVAL_MS) || 5000,
+
+  // Retry & dead-letter
+  MAX_INTENT_ATTEMPTS: parseInt(process.env.MAX_INTENT_ATTEMPTS) || 5,
+  RETRY_BASE_MS: parseInt(process.env.RETRY_BASE_MS) || 30000,
+  RETRY_MAX_MS: parseInt(process.env.RETRY_MAX_MS) || 15 * 60 * 1000,
+  
+  // Settlement sizing: backlogs are split so each settleAndQueue stays under the budget
+  SETTLEMENT_GAS_BUDGET: parseInt(process.env.SETTLEMENT_GAS_BUDGET) || 6000000,
+  MAX_BATCH_INTENTS: parseInt(process.env.MAX_BATCH_INTENTS) || 20,
+  GAS_BATCH_BASE: parseInt(process.env.GAS_BATCH_BASE) || 100000,
+  GAS_PER_INTERNAL_MATCH: parseInt(process.env.GAS_PER_INTERNAL_MATCH) || 120000,
+  GAS_PER_AMM_SETTLEMENT: parseInt(process.env.GAS_PER_AMM_SETTLEMENT) || 200000,
+  GAS_PER_RELEASE: parseInt(process.env.GAS_PER_RELEASE) || 250000,
+  
+  // Transactions: re-price after TX_BUMP_AFTER_MS, cancel after TX_MAX_BUMPS re-prices
+  TX_BUMP_AFTER_MS: parseInt(process.env.TX_BUMP_AFTER_MS) || 60000,
+  TX_BUMP_PERCENT: parseInt(process.env.TX_BUMP_PERCENT) || 15,
+  TX_MAX_BUMPS: parseInt(process.env.TX_MAX_BUMPS) || 3,
+  TX_GAS_MARGIN_PERCENT: parseInt(process.env.TX_GAS_MARGIN_PERCENT) || 20,
+  TX_POLL_INTERVAL_MS: parseInt(process.env.TX_POLL_INTERVAL_MS) || 3000,
+  
+  // Admission: seconds an intent's deadline must leave for the TEE run and settlement
+  DEADLINE_MARGIN_SEC: parseInt(process.env.DEADLINE_MARGIN_SEC) || 600,
+};
+
+/** @type {import('./batch.js').GasCosts} */
+const GAS_COSTS = {
+  base: CONFIG.GAS_BATCH_BASE,
+  internalMatch: CONFIG.GAS_PER_INTERNAL_MATCH,
+  ammSettlement: CONFIG.GAS_PER_AMM_SETTLEMENT,
+  release: CONFIG.GAS_PER_RELEASE,
 };
 
+// The hook accepts releases 60-180s after the settlement block; stay 5s inside
+const RELEASE_WINDOW = { minSec: 60, maxSec: 180, bufferSec: 5 };
+
 // =============================================================================
 // CONTRACT ABIs
 // =============================================================================
@@ -79,6 +217,9 @@ const HOOK_ABI = [
   'function pendingReleaseCount() view returns (uint256)',
   'function executeRelease(bytes32 releaseId)',
   
+  // Pool
+  'function poolKey() view returns (address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks)',
+
   // Admin
   'function teeSigner() view returns (address)',
   'function oracle() view returns (address)',
@@ -88,9 +229,13 @@ const HOOK_ABI = [
   
   // Events
   'event IntentSubmitted(bytes32 indexed intentId, address indexed sender, address tokenIn, address tokenOut, uint256 amountIn, uint256 deadline)',
+  'event IntentCancelled(bytes32 indexed intentId, address indexed sender)',
   'event BatchSettled(bytes32 indexed batchId, uint256 internalMatches, uint256 ammSwaps, uint256 releasesQueued)',
   'event ReleaseQueued(bytes32 indexed releaseId, bytes32 indexed intentId, address stealthAddress, uint256 amount, uint256 releaseTime)',
   'event ReleaseExecuted(bytes32 indexed releaseId, address indexed stealthAddress, address token, uint256 amount, bytes encryptedStealthKey)',
+
+  // Errors (hook, plus ERC20/SafeERC20/ECDSA errors bubbled up through it)
+  ...ERROR_ABI,
 ];
 
 const ERC20_ABI = [
@@ -106,77 +251,192 @@ const ERC20_ABI = [
 // GLOBAL STATE
 // =============================================================================
 let arbProvider, arbWallet, hook, iexec;
+let teeBackend, fallbackBackend;
+let resumeBackend; // finishes iExec deals matched before a restart
+let poolCurrency0;
 let moleA, moleB;
-let processedIntents = new Set();
-let isProcessing = false;
-
-// Task tracking for frontend
-const intentTasks = new Map();
-
-// Faucet rate limiting
-const faucetLimits = new Map();
+let isScheduling = false;
+let batchCounter = 0;
+const inFlight = new Map(); // batchKey → { stage, intents, startedAt }
+const eventClients = new Set(); // open /events streams: { watched, send }
+let submitTimer = null; // pending debounced scheduling pass
 
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
 async function init() {
-  console.log('╔══════════════════════════════════════════════════════════════╗');
-  console.log('║  MoleSwap Oracle v3 - Production Build                       ║');
-  console.log('║  iExec TEE on Arbitrum Sepolia                               ║');
-  console.log('╚══════════════════════════════════════════════════════════════╝');
+  log.info('MoleSwap Oracle v3 starting (iExec TEE on Arbitrum Sepolia)');
 
   // Validate config
   if (!CONFIG.PRIVATE_KEY) {
     throw new Error('PRIVATE_KEY environment variable required');
   }
 
+  if (!['relay', 'resign'].includes(CONFIG.TEE_SIGNATURE_MODE)) {
+    throw new Error(`TEE_SIGNATURE_MODE must be "relay" or "resign", got "${CONFIG.TEE_SIGNATURE_MODE}"`);
+  }
+  initAlerts({ webhookUrl: CONFIG.ALERT_WEBHOOK_URL });
+  initRateLimits({
+    'faucet-address': { capacity: CONFIG.FAUCET_ADDRESS_PER_DAY, perSec: CONFIG.FAUCET_ADDRESS_PER_DAY / 86400 },
+    'faucet-ip': { capacity: CONFIG.FAUCET_IP_PER_HOUR, perSec: CONFIG.FAUCET_IP_PER_HOUR / 3600 },
+    'challenge': { capacity: 10, perSec: 10 / 60 },
+    'submit': { capacity: CONFIG.SUBMIT_IP_PER_MINUTE, perSec: CONFIG.SUBMIT_IP_PER_MINUTE / 60 },
+    'events': { capacity: CONFIG.EVENTS_IP_PER_MINUTE, perSec: CONFIG.EVENTS_IP_PER_MINUTE / 60 },
+  });
+  initChallenge({ mode: CONFIG.FAUCET_CHALLENGE, difficulty: CONFIG.FAUCET_POW_DIFFICULTY });
+  initAdmin({
+    token: CONFIG.ADMIN_TOKEN,
+    addresses: CONFIG.ADMIN_ADDRESSES,
+    signatureTtlSec: CONFIG.ADMIN_SIGNATURE_TTL_SEC,
+  });
+
+  // Durable state
+  const storeFile = store.openStore(CONFIG.STORE_PATH);
+  initRetry({
+    maxAttempts: CONFIG.MAX_INTENT_ATTEMPTS,
+    baseDelayMs: CONFIG.RETRY_BASE_MS,
+    maxDelayMs: CONFIG.RETRY_MAX_MS,
+  });
+
   // Initialize providers
   arbProvider = new ethers.JsonRpcProvider(CONFIG.ARB_RPC_URL);
   arbWallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, arbProvider);
   hook = new ethers.Contract(CONFIG.HOOK_ADDRESS, HOOK_ABI, arbWallet);
+
+  // All oracle wallet sends share one nonce sequence
+  const txState = await initTxManager({
+    wallet: arbWallet,
+    bumpAfterMs: CONFIG.TX_BUMP_AFTER_MS,
+    bumpPercent: CONFIG.TX_BUMP_PERCENT,
+    maxBumps: CONFIG.TX_MAX_BUMPS,
+    gasMarginPercent: CONFIG.TX_GAS_MARGIN_PERCENT,
+  });
+  log.info('Transaction manager ready', { nextNonce: txState.nextNonce, pendingTxs: txState.pending });
+
+  // Confirms, re-prices and cancels sends; started here because init itself sends
+  setInterval(monitorTransactions, CONFIG.TX_POLL_INTERVAL_MS);
   
+  initAdmission({
+    provider: arbProvider,
+    hookAddress: CONFIG.HOOK_ADDRESS,
+    deadlineMarginSec: CONFIG.DEADLINE_MARGIN_SEC,
+  });
+  initBisect({ provider: arbProvider, hook, oracleAddress: arbWallet.address });
+  initReleases({
+    hook,
+    marginMs: CONFIG.RELEASE_MARGIN_MS,
+    retryBaseMs: 5000,
+    retryMaxMs: 5 * 60 * 1000,
+    alertAfter: 5,
+  });
+  initIngest({
+    provider: arbProvider,
+    hook,
+    deployBlock: CONFIG.HOOK_DEPLOY_BLOCK,
+    confirmations: CONFIG.CONFIRMATIONS,
+    chunkSize: CONFIG.LOG_CHUNK_SIZE,
+    checkpoints: CONFIG.REORG_CHECKPOINTS,
+  });
+
   // Token contracts
   moleA = new ethers.Contract(CONFIG.MOLE_A, ERC20_ABI, arbWallet);
   moleB = new ethers.Contract(CONFIG.MOLE_B, ERC20_ABI, arbWallet);
 
-  // iExec SDK
-  const signer = utils.getSignerFromPrivateKey('arbitrum-sepolia-testnet', CONFIG.PRIVATE_KEY);
-  iexec = new IExec({ ethProvider: signer });
+  // iExec SDK (sends through the transaction manager's nonce sequence)
+  iexec = new IExec({ ethProvider: managedSigner('iexec') });
+  initClaims({ iexec, alertAfter: 5 });
+
+  // TEE backends
+  const backendOptions = {
+    iexec,
+    app: CONFIG.IEXEC_APP,
+    workerpools: CONFIG.IEXEC_WORKERPOOLS,
+    maxPrice: CONFIG.IEXEC_MAX_BATCH_PRICE,
+    teeTag: CONFIG.IEXEC_TEE_TAG,
+    timeoutMs: CONFIG.TASK_TIMEOUT_MS,
+    appPath: CONFIG.LOCAL_TEE_APP_PATH,
+    teeSignerKey: CONFIG.TEE_SIGNER_KEY,
+  };
+  teeBackend = createBackend(CONFIG.TEE_BACKEND, backendOptions);
+  fallbackBackend = CONFIG.TEE_FALLBACK_BACKEND
+    ? createBackend(CONFIG.TEE_FALLBACK_BACKEND, backendOptions)
+    : null;
+  resumeBackend = [teeBackend, fallbackBackend].find(b => b?.resume) || createBackend('iexec', backendOptions);
 
   // Log configuration
   const teeSigner = new ethers.Wallet(CONFIG.TEE_SIGNER_KEY);
-  console.log(`\n📋 Configuration:`);
-  console.log(`   Oracle:      ${arbWallet.address}`);
-  console.log(`   TEE Signer:  ${teeSigner.address}`);
-  console.log(`   Hook:        ${CONFIG.HOOK_ADDRESS}`);
-  console.log(`   iExec App:   ${CONFIG.IEXEC_APP}`);
-  console.log(`   Workerpool:  ${CONFIG.WORKERPOOL}`);
-  console.log(`   MOLE-A:      ${CONFIG.MOLE_A}`);
-  console.log(`   MOLE-B:      ${CONFIG.MOLE_B}`);
+  log.info('Configuration', {
+    oracle: arbWallet.address,
+    teeSigner: teeSigner.address,
+    signatureMode: CONFIG.TEE_SIGNATURE_MODE,
+    expectedTeeSigner: CONFIG.EXPECTED_TEE_SIGNER || undefined,
+    hook: CONFIG.HOOK_ADDRESS,
+    backend: teeBackend.name,
+    enclave: teeBackend.enclave,
+    fallbackBackend: fallbackBackend?.name || 'none',
+    iexecApp: CONFIG.IEXEC_APP,
+    workerpools: CONFIG.IEXEC_WORKERPOOLS,
+    maxBatchPriceNrlc: CONFIG.IEXEC_MAX_BATCH_PRICE,
+    moleA: CONFIG.MOLE_A,
+    moleB: CONFIG.MOLE_B,
+    store: storeFile,
+  });
+  if (!teeBackend.enclave || fallbackBackend) {
+    log.warn('Batches may be settled without going through an enclave', { backend: teeBackend.name, fallbackBackend: fallbackBackend?.name });
+  }
+
+  // Readiness compares the hook's teeSigner with the key batches are signed
+  // with: the oracle wallet when re-signing, the local key for non-enclave
+  // backends, otherwise only what EXPECTED_TEE_SIGNER pins
+  initHealth({
+    provider: arbProvider,
+    hook,
+    oracleAddress: arbWallet.address,
+    expectedTeeSigner: CONFIG.TEE_SIGNATURE_MODE === 'resign'
+      ? arbWallet.address
+      : CONFIG.EXPECTED_TEE_SIGNER || (teeBackend.enclave ? '' : teeSigner.address),
+    iexec: teeBackend.name === 'iexec' ? iexec : null,
+    app: CONFIG.IEXEC_APP,
+    workerpools: CONFIG.IEXEC_WORKERPOOLS,
+    maxPrice: CONFIG.IEXEC_MAX_BATCH_PRICE,
+    teeTag: CONFIG.IEXEC_TEE_TAG,
+    tokens: [{ symbol: 'MOLE-A', address: CONFIG.MOLE_A }, { symbol: 'MOLE-B', address: CONFIG.MOLE_B }],
+    minLiquidity: ethers.parseUnits(CONFIG.HEALTH_MIN_HOOK_LIQUIDITY, 18),
+    maxBlockAgeSec: CONFIG.HEALTH_MAX_BLOCK_AGE_SEC,
+    cacheMs: CONFIG.HEALTH_CACHE_MS,
+    timeoutMs: CONFIG.HEALTH_CHECK_TIMEOUT_MS,
+  });
 
   // Check balances
   try {
     const balance = await iexec.account.checkBalance(arbWallet.address);
-    console.log(`   RLC Staked:  ${ethers.formatUnits(balance.stake.toString(), 9)}`);
+    log.info('RLC balance', { staked: ethers.formatUnits(balance.stake.toString(), 9) });
   } catch (e) {
-    console.log(`   RLC:         ⚠️ Could not check balance`);
+    log.warn('Could not check RLC balance', { error: e });
   }
 
   try {
     const balA = await moleA.balanceOf(arbWallet.address);
     const balB = await moleB.balanceOf(arbWallet.address);
-    console.log(`   Faucet A:    ${ethers.formatUnits(balA, 18)} MOLE-A`);
-    console.log(`   Faucet B:    ${ethers.formatUnits(balB, 18)} MOLE-B`);
+    log.info('Faucet balances', { moleA: ethers.formatUnits(balA, 18), moleB: ethers.formatUnits(balB, 18) });
   } catch (e) {
-    console.log(`   Faucet:      ⚠️ Could not check balances`);
+    log.warn('Could not check faucet balances', { error: e });
+  }
+
+  // Pool ordering decides every AMM settlement's zeroForOne
+  try {
+    ({ currency0: poolCurrency0 } = await hook.poolKey());
+    log.info('Pool currency0', { currency0: poolCurrency0 });
+  } catch (e) {
+    log.warn('Could not read poolKey', { error: e });
   }
 
   // Test hook authorization
   try {
     await hook.pendingIntentCount();
-    console.log(`   Hook Auth:   ✅ Authorized`);
+    log.info('Hook reachable');
   } catch (e) {
-    console.log(`   Hook Auth:   ❌ Not authorized (${e.message?.slice(0, 50)})`);
+    log.error('Hook not reachable', { error: e });
   }
 
   // Ensure oracle has approved hook for both tokens (required for settlement)
@@ -188,20 +448,18 @@ async function init() {
     const allowanceB = await moleB.allowance(arbWallet.address, CONFIG.HOOK_ADDRESS);
     
     if (allowanceA < ethers.parseUnits('1000000', 18)) {
-      console.log(`   Approving MOLE-A for hook...`);
-      const txA = await moleA.approve(CONFIG.HOOK_ADDRESS, maxApproval);
+      const txA = await sendCall(moleA, 'approve', [CONFIG.HOOK_ADDRESS, maxApproval], 'approve MOLE-A');
       await txA.wait();
-      console.log(`   ✅ MOLE-A approved`);
+      log.info('Approved MOLE-A for hook', { txHash: txA.hash });
     }
     
     if (allowanceB < ethers.parseUnits('1000000', 18)) {
-      console.log(`   Approving MOLE-B for hook...`);
-      const txB = await moleB.approve(CONFIG.HOOK_ADDRESS, maxApproval);
+      const txB = await sendCall(moleB, 'approve', [CONFIG.HOOK_ADDRESS, maxApproval], 'approve MOLE-B');
       await txB.wait();
-      console.log(`   ✅ MOLE-B approved`);
+      log.info('Approved MOLE-B for hook', { txHash: txB.hash });
     }
   } catch (e) {
-    console.log(`   ⚠️ Approval warning: ${e.message?.slice(0, 50)}`);
+    log.warn('Token approval failed', { error: e });
   }
 
   // Fund the hook contract with tokens for liquidity (required for swaps)
@@ -210,580 +468,864 @@ async function init() {
     const hookBalB = await moleB.balanceOf(CONFIG.HOOK_ADDRESS);
     const minLiquidity = ethers.parseUnits('100', 18);
     
-    console.log(`   Hook MOLE-A: ${ethers.formatUnits(hookBalA, 18)}`);
-    console.log(`   Hook MOLE-B: ${ethers.formatUnits(hookBalB, 18)}`);
+    log.info('Hook liquidity', { moleA: ethers.formatUnits(hookBalA, 18), moleB: ethers.formatUnits(hookBalB, 18) });
     
     if (hookBalA < minLiquidity) {
-      console.log(`   Funding hook with MOLE-A...`);
       const fundAmount = ethers.parseUnits('500', 18);
       try {
-        const tx = await moleA.mint(CONFIG.HOOK_ADDRESS, fundAmount);
+        const tx = await sendCall(moleA, 'mint', [CONFIG.HOOK_ADDRESS, fundAmount], 'fund hook MOLE-A');
         await tx.wait();
       } catch {
-        const tx = await moleA.transfer(CONFIG.HOOK_ADDRESS, fundAmount);
+        const tx = await sendCall(moleA, 'transfer', [CONFIG.HOOK_ADDRESS, fundAmount], 'fund hook MOLE-A');
         await tx.wait();
       }
-      console.log(`   ✅ Hook funded with MOLE-A`);
+      log.info('Funded hook', { token: 'MOLE-A', amount: '500' });
     }
     
     if (hookBalB < minLiquidity) {
-      console.log(`   Funding hook with MOLE-B...`);
       const fundAmount = ethers.parseUnits('500', 18);
       try {
-        const tx = await moleB.mint(CONFIG.HOOK_ADDRESS, fundAmount);
+        const tx = await sendCall(moleB, 'mint', [CONFIG.HOOK_ADDRESS, fundAmount], 'fund hook MOLE-B');
         await tx.wait();
       } catch {
-        const tx = await moleB.transfer(CONFIG.HOOK_ADDRESS, fundAmount);
+        const tx = await sendCall(moleB, 'transfer', [CONFIG.HOOK_ADDRESS, fundAmount], 'fund hook MOLE-B');
         await tx.wait();
       }
-      console.log(`   ✅ Hook funded with MOLE-B`);
+      log.info('Funded hook', { token: 'MOLE-B', amount: '500' });
     }
   } catch (e) {
-    console.log(`   ⚠️ Hook funding warning: ${e.message?.slice(0, 50)}`);
+    log.warn('Hook funding failed', { error: e });
   }
 
-  // Load existing intents to skip
+  // Resume from the durable store instead of skipping what is pending
   try {
-    const pending = await hook.getPendingIntents();
-    pending.forEach(id => processedIntents.add(id));
-    console.log(`\n⏭️  Skipping ${pending.length} existing intent(s)`);
+    await resumeFromStore();
   } catch (e) {
-    console.log(`\n⚠️  Could not load existing intents: ${e.message}`);
+    log.error('Could not resume from store', { error: e });
+  }
+}
+
+// =============================================================================
+// RESUME FROM STORE
+// =============================================================================
+async function resumeFromStore() {
+  // Batches interrupted mid-flight: intents the chain settled are done, those
+  // whose batch already holds a matched iExec deal finish from that deal, and
+  // the rest (no task was bought yet) are requeued
+  let requeued = 0;
+  const resumable = new Map(); // batchKey → intentIds
+  for (const record of store.listIntents(r => r.status === 'batched')) {
+    const intent = await hook.getIntent(record.intentId);
+    if (intent.settled) {
+      store.transitionIntent(record.intentId, 'settled', {}, { reason: 'settled before restart' });
+      continue;
+    }
+    const batch = record.batchKey && store.getBatch(record.batchKey);
+    if (batch?.dealId && ['tee_running', 'tee_completed'].includes(batch.status)) {
+      resumable.set(batch.batchKey, [...(resumable.get(batch.batchKey) || []), record.intentId]);
+    } else {
+      store.transitionIntent(record.intentId, 'pending', {}, { reason: 'requeued after restart' });
+      store.addMilestone(record.intentId, 'requeued', { reason: 'requeued after restart' });
+      requeued++;
+    }
   }
 
-  console.log('───────────────────────────────────────────────────────────────');
+  const queued = store.listIntents(r => r.status === 'pending').length;
+  log.info('Resumed from store', { queued, requeued, resumedDeals: resumable.size, block: store.getCursor()?.block });
+
+  for (const [batchKey, intentIds] of resumable) {
+    launchBatch(intentIds, store.getBatch(batchKey));
+  }
+
+  // Re-arm timers for releases queued before the restart
+  const armed = syncReleases();
+  log.info('Armed pending releases', { releases: armed });
 }
 
 // =============================================================================
 // CORE BATCH PROCESSING
 // =============================================================================
-async function processBatch() {
-  if (isProcessing) {
-    console.log('⏳ Already processing, skipping...');
-    return;
-  }
-  isProcessing = true;
+
+/**
+ * Scheduler tick: admit due intents and start as many gas-bounded batches as
+ * there are free pipeline slots. Started batches run concurrently, each in
+ * its own stage; intents that do not fit wait for the next tick.
+ *
+ * `force` (admin) runs even while batching is paused and ignores retry backoff.
+ *
+ * @returns {Promise<string[]>} batchKeys of the batches started
+ */
+async function processBatch({ force = false } = {}) {
+  if (isScheduling) return [];
+  if (store.getControl().batchingPaused && !force) return [];
+  isScheduling = true;
 
   try {
-    // Get pending intents
-    const pendingIds = await hook.getPendingIntents();
-    const newIntents = pendingIds.filter(id => !processedIntents.has(id));
-
-    if (newIntents.length === 0) {
-      await executeReadyReleases();
-      isProcessing = false;
-      return;
-    }
-
-    console.log(`\n${'═'.repeat(65)}`);
-    console.log(`🔄 Processing ${newIntents.length} NEW intent(s)`);
-    console.log(`${'═'.repeat(65)}`);
-
-    // Fetch intent details
-    const intents = [];
-    for (const id of newIntents) {
-      const intent = await hook.getIntent(id);
-      intents.push({
-        intentId: id,
-        sender: intent.sender,
-        tokenIn: intent.tokenIn,
-        tokenOut: intent.tokenOut,
-        amountIn: intent.amountIn.toString(),
-        viewingPubKey: intent.viewingPubKey,
-      });
-      processedIntents.add(id);
+    const freeSlots = CONFIG.MAX_CONCURRENT_BATCHES - inFlight.size;
+    if (freeSlots <= 0) {
+      log.debug('Pipeline full, waiting', { inFlight: inFlight.size });
+      return [];
     }
 
-    // Log intents
-    for (const intent of intents) {
-      console.log(`\n📥 Intent: ${intent.intentId.slice(0, 20)}...`);
-      console.log(`   Sender:   ${intent.sender}`);
-      console.log(`   TokenIn:  ${intent.tokenIn}`);
-      console.log(`   TokenOut: ${intent.tokenOut}`);
-      console.log(`   Amount:   ${ethers.formatUnits(intent.amountIn, 18)}`);
+    // Pull confirmed events, then pick up every queued intent whose backoff has
+    // elapsed, plus held intents that may have become eligible
+    await ingestEvents();
+    const candidates = store.listIntents(r => isDue(r) || r.status === 'held' || (force && r.status === 'pending'));
+    if (candidates.length === 0) return [];
+
+    // Only send the TEE intents that can actually settle, counting what
+    // in-flight batches are about to pull from the same wallets
+    const reserved = store.listIntents(r => r.status === 'batched');
+    const { admitted, held } = await admitIntents(candidates, reserved);
+    for (const { record, reason, code, final } of held) {
+      if (final) {
+        // A passed deadline never comes back; stop re-checking the intent
+        log.info('Intent expired', { intentIds: [record.intentId], code, reason });
+        store.transitionIntent(
+          record.intentId,
+          'expired',
+          { holdReason: null, holdCode: null, lastError: reason, errorCode: code, nextAttemptAt: null },
+          { reason, code }
+        );
+        store.addMilestone(record.intentId, 'expired', { reason, code });
+        continue;
+      }
+      if (record.status !== 'held' || record.holdReason !== reason) {
+        log.info('Holding intent', { intentIds: [record.intentId], code, reason });
+        store.transitionIntent(record.intentId, 'held', { holdReason: reason, holdCode: code }, { reason, code });
+        store.addMilestone(record.intentId, 'held', { reason, code });
+      }
     }
-
-    // ==========================================================================
-    // STEP 1: Send to iExec TEE
-    // ==========================================================================
-    console.log(`\n🔐 Step 1: Sending to iExec TEE...`);
-    
-    // Base64 encode input (critical for SCONE TEE compatibility)
-    const inputJson = JSON.stringify(intents);
-    const inputData = Buffer.from(inputJson).toString('base64');
-    console.log(`   Payload: ${intents.length} intent(s), ${inputData.length} bytes (base64)`);
-
-    // Fetch orderbooks
-    const appOrderbook = await iexec.orderbook.fetchAppOrderbook(CONFIG.IEXEC_APP, {
-      workerpool: CONFIG.WORKERPOOL,
-      minTag: CONFIG.IEXEC_TEE_TAG,
-    });
-    const apporder = appOrderbook.orders[0]?.order;
-    if (!apporder) {
-      throw new Error('No app order available. Run: iexec app publish --tag tee,scone');
+    for (const record of admitted) {
+      if (record.lifecycle?.at(-1)?.stage !== 'admitted') {
+        store.addMilestone(record.intentId, 'admitted');
+      }
     }
-
-    const workerpoolOrderbook = await iexec.orderbook.fetchWorkerpoolOrderbook({
-      workerpool: CONFIG.WORKERPOOL,
-      category: 0,
-      minTag: CONFIG.IEXEC_TEE_TAG,
-    });
-    const workerpoolorder = workerpoolOrderbook.orders[0]?.order;
-    if (!workerpoolorder) {
-      throw new Error('No workerpool order available');
-    }
-
-    // Create and sign request order
-    const requestorder = await iexec.order.createRequestorder({
-      app: CONFIG.IEXEC_APP,
-      workerpool: CONFIG.WORKERPOOL,
-      category: 0,
-      params: { iexec_args: inputData },
-      tag: CONFIG.IEXEC_TEE_TAG,
-      trust: 1,
-      workerpoolmaxprice: 100000000,
+    const newIntents = admitted.map(r => r.intentId);
+    if (newIntents.length === 0) return [];
+
+    // Split the backlog so every settlement fits the gas budget
+    const perBatch = maxIntentsPerBatch(GAS_COSTS, CONFIG.SETTLEMENT_GAS_BUDGET, CONFIG.MAX_BATCH_INTENTS);
+    const chunks = [];
+    for (let i = 0; i < newIntents.length; i += perBatch) {
+      chunks.push(newIntents.slice(i, i + perBatch));
+    }
+    const starting = chunks.slice(0, freeSlots);
+    const startingCount = starting.reduce((n, c) => n + c.length, 0);
+
+    log.info('Starting batches', {
+      batches: starting.length,
+      intents: startingCount,
+      perBatch,
+      inFlight: inFlight.size,
+      waiting: newIntents.length - startingCount,
     });
-    const signedRequestorder = await iexec.order.signRequestorder(requestorder);
 
-    // Match orders
-    const matchResult = await iexec.order.matchOrders({
-      apporder,
-      workerpoolorder,
-      requestorder: signedRequestorder,
-    });
-    
-    console.log(`   ✅ Orders matched`);
-    console.log(`   Deal: ${matchResult.dealid.slice(0, 30)}...`);
-    console.log(`   Tx:   https://sepolia.arbiscan.io/tx/${matchResult.txHash}`);
+    return starting.map(chunk => launchBatch(chunk));
+  } catch (e) {
+    log.error('Scheduling error', { error: e });
+    return [];
+  } finally {
+    isScheduling = false;
+  }
+}
 
-    // Get task ID
-    const { tasks } = await iexec.deal.show(matchResult.dealid);
-    const taskId = tasks['0'];
-    console.log(`   Task: ${taskId.slice(0, 30)}...`);
-    console.log(`   Explorer: https://explorer.iex.ec/arbitrum-sepolia-testnet/task/${taskId}`);
+/** Collapse bursts of /submit calls into one scheduling pass. */
+function scheduleSoon() {
+  if (submitTimer) return;
+  submitTimer = setTimeout(() => {
+    submitTimer = null;
+    processBatch().catch(e => log.error('Scheduling error', { error: e }));
+  }, CONFIG.SUBMIT_DEBOUNCE_MS);
+}
 
-    // Track task for frontend
-    for (const intent of intents) {
-      intentTasks.set(intent.intentId, { 
-        taskId, 
-        dealId: matchResult.dealid, 
-        status: 'pending',
-        timestamp: Date.now()
-      });
-    }
+/**
+ * Run a batch in the background, tracked in the in-flight pipeline.
+ *
+ * @param {string[]} intentIds
+ * @param {object} [resumeDeal]  Batch record of a deal matched before a restart
+ */
+function launchBatch(intentIds, resumeDeal = null) {
+  const batchKey = resumeDeal?.batchKey || `batch-${Date.now()}-${++batchCounter}`;
+  inFlight.set(batchKey, { stage: resumeDeal ? 'task_running' : 'claimed', intents: intentIds.length, startedAt: Date.now() });
+
+  runBatch(batchKey, intentIds, resumeDeal)
+    .then(rerun => {
+      // Intents requeued by bisection go straight back through the TEE
+      if (rerun) setImmediate(processBatch);
+    })
+    .catch(e => log.error('Batch error', { batchKey, intentIds, error: e }))
+    .finally(() => inFlight.delete(batchKey));
+  return batchKey;
+}
 
-    // ==========================================================================
-    // STEP 2: Wait for TEE execution
-    // ==========================================================================
-    console.log(`\n⏳ Step 2: Waiting for TEE execution...`);
-    
-    await sleep(5000); // Initial delay for indexing
+function setStage(batchKey, stage) {
+  const entry = inFlight.get(batchKey);
+  if (entry) Object.assign(entry, { stage, stageAt: Date.now() });
+  store.saveBatch(batchKey, { stage });
+}
 
-    let taskResult;
-    const maxAttempts = Math.ceil(CONFIG.TASK_TIMEOUT_MS / CONFIG.TASK_POLL_INTERVAL_MS);
-    
-    for (let i = 0; i < maxAttempts; i++) {
-      taskResult = await iexec.task.show(taskId);
-      
-      if (taskResult.status === 3) {
-        console.log(`   ✅ Task completed`);
-        break;
-      } else if (taskResult.status === 4) {
-        throw new Error('TEE task failed');
+/**
+ * Take one gas-bounded group of admitted intents through the TEE and settle
+ * it in a single settleAndQueue transaction.
+ *
+ * With `resumeDeal`, the intents are still batched from before a restart and
+ * the TEE step waits for that deal's task instead of buying a new one.
+ *
+ * @returns {Promise<boolean>} true when intents were requeued for an immediate re-run
+ */
+async function runBatch(batchKey, intentIds, resumeDeal = null) {
+  let intents = [];
+  // Every line for this batch carries its identifiers; more are bound as they become known
+  let blog = log.child({ batchKey, intentIds });
+
+  try {
+    if (resumeDeal) {
+      blog = blog.child({ dealId: resumeDeal.dealId, taskId: resumeDeal.taskId });
+      blog.info('Batch resumed after restart', { intents: intentIds.length });
+      for (const id of intentIds) {
+        intents.push(teeInput(store.getIntent(id)));
+        store.addMilestone(id, 'tee_resumed', { dealId: resumeDeal.dealId, taskId: resumeDeal.taskId });
       }
-      
-      if (i % 6 === 0) {
-        const statusNames = ['unset', 'active', 'revealing', 'completed', 'failed'];
-        console.log(`   Status: ${statusNames[taskResult.status] || taskResult.status} (${i + 1}/${maxAttempts})`);
+      store.saveBatch(batchKey, { status: 'tee_running', intentIds, resumedAt: Date.now() });
+    } else {
+      // Claim intents for this batch (synchronously, before the next scheduler tick)
+      blog.info('Batch claimed', { intents: intentIds.length });
+      inc('moleswap_batches_built_total');
+      observe('moleswap_batch_intents', {}, intentIds.length);
+      for (const id of intentIds) {
+        const record = store.transitionIntent(id, 'batched', { batchKey, holdReason: null, holdCode: null });
+        store.addMilestone(id, 'batched', { batchKey });
+        intents.push(teeInput(record));
       }
-      await sleep(CONFIG.TASK_POLL_INTERVAL_MS);
+      store.saveBatch(batchKey, { status: 'tee_pending', stage: 'claimed', intentIds: intents.map(i => i.intentId) });
     }
 
-    if (taskResult.status !== 3) {
-      throw new Error(`Task timeout: status ${taskResult.status}`);
-    }
-
-    // Update tracking
     for (const intent of intents) {
-      const info = intentTasks.get(intent.intentId);
-      if (info) info.status = 'completed';
+      blog.debug('Batch intent', {
+        intentIds: [intent.intentId],
+        sender: intent.sender,
+        tokenIn: intent.tokenIn,
+        tokenOut: intent.tokenOut,
+        amount: ethers.formatUnits(intent.amountIn, 18),
+      });
     }
 
     // ==========================================================================
-    // STEP 3: Parse TEE results
+    // STEPS 1-3: Run the batch through the TEE backend
     // ==========================================================================
-    console.log(`\n📦 Step 3: Parsing TEE results...`);
-    
-    const result = await iexec.task.fetchResults(taskId);
-    const contentType = result.headers?.get('content-type') || 'unknown';
-    
-    let teeOutput;
-    
-    if (contentType.includes('zip') || contentType.includes('octet-stream')) {
-      const JSZip = (await import('jszip')).default;
-      const arrayBuffer = await result.arrayBuffer();
-      const zip = await JSZip.loadAsync(arrayBuffer);
-      const filenames = Object.keys(zip.files);
-      console.log(`   Zip files: ${filenames.join(', ')}`);
-      
-      // Find result file
-      let resultContent;
-      const targets = ['result.json', 'result.txt', 'output.json'];
-      for (const target of targets) {
-        const found = filenames.find(f => f.endsWith(target));
-        if (found && !zip.files[found].dir) {
-          resultContent = await zip.files[found].async('string');
-          console.log(`   Reading: ${found}`);
-          break;
+    const hooks = {
+      // Persist deal/task for every intent in the batch as soon as orders match
+      onDeal: ({ dealId, taskId, matchTx, explorerUrl, workerpool, price }) => {
+        blog = blog.child({ dealId, taskId });
+        for (const intent of intents) {
+          store.upsertIntent(intent.intentId, { taskId, dealId, explorerUrl });
+          store.addMilestone(intent.intentId, 'tee_matched', { dealId, taskId, txHash: matchTx, explorerUrl, workerpool });
         }
-      }
-      
-      if (!resultContent) {
-        const fallback = filenames.find(f => !f.includes('computed.json') && !zip.files[f].dir);
-        if (fallback) resultContent = await zip.files[fallback].async('string');
-      }
-      
-      teeOutput = JSON.parse(resultContent);
-    } else {
-      teeOutput = JSON.parse(await result.text());
+        store.saveBatch(batchKey, { status: 'tee_running', dealId, taskId, matchTx, explorerUrl, workerpool, price });
+      },
+      onStage: stage => {
+        setStage(batchKey, stage);
+        if (stage === 'task_running') {
+          intents.forEach(i => store.addMilestone(i.intentId, 'tee_running'));
+        }
+      },
+      // iExec task transitions, as the task observable reports them
+      onTaskStatus: status => {
+        store.saveBatch(batchKey, { taskStatus: status });
+        intents.forEach(i => store.addMilestone(i.intentId, 'tee_task', { status }));
+      },
+      log: blog,
+    };
+    const teeRun = resumeDeal
+      ? { ...(await resumeBackend.resume(resumeDeal, hooks)), backend: resumeBackend.name, enclave: resumeBackend.enclave }
+      : await runWithPolicy(teeBackend, fallbackBackend, intents, hooks);
+
+    store.saveBatch(batchKey, {
+      status: 'tee_completed',
+      backend: teeRun.backend,
+      enclave: teeRun.enclave,
+      fallbackFrom: teeRun.fallbackFrom,
+      fallbackReason: teeRun.fallbackReason,
+    });
+    for (const intent of intents) {
+      store.addMilestone(intent.intentId, 'tee_completed', { backend: teeRun.backend, enclave: teeRun.enclave });
     }
 
-    // Save raw output before extracting releases
-    const rawTeeOutput = teeOutput;
-
-    // Extract releases from TEE output structure
-    if (!Array.isArray(teeOutput)) {
-      console.log(`   Output structure: ${Object.keys(teeOutput).join(', ')}`);
-      
-      if (teeOutput.settlementBatch?.releases) {
-        console.log(`   Summary: ${JSON.stringify(teeOutput.summary)}`);
-        teeOutput = teeOutput.settlementBatch.releases;
-      } else if (teeOutput.releases) {
-        teeOutput = teeOutput.releases;
-      } else if (teeOutput.results) {
-        teeOutput = teeOutput.results;
-      } else if (teeOutput.data) {
-        teeOutput = teeOutput.data;
+    // A result from before the restart may be older than the release window.
+    // resignBatch gives it fresh times; a relayed batch cannot be changed, so
+    // it is dropped here instead of being simulated, sent or paid for again
+    if (resumeDeal) {
+      const resumedAt = Math.floor(Date.now() / 1000);
+      const stale = releasesOutsideWindow(teeRun.output?.settlementBatch?.releases || [], resumedAt);
+      if (stale.length > 0 && CONFIG.TEE_SIGNATURE_MODE === 'relay') {
+        deferBatch(batchKey, intents, `Resumed TEE result is stale: ${stale.length} release time(s) outside the hook's window`, blog, {
+          currentTime: resumedAt,
+          releaseInSec: stale.map(r => Number(r.releaseTime) - resumedAt),
+        });
+        return false;
+      }
+      if (stale.length > 0) {
+        blog.info('Resumed TEE result is stale, re-signing with fresh release times', { releases: stale.length });
       }
     }
 
-    if (!Array.isArray(teeOutput) || teeOutput.length === 0) {
-      console.log(`   ⚠️ No releases to process`);
-      isProcessing = false;
-      return;
-    }
-
-    console.log(`   ✅ Got ${teeOutput.length} release(s)`);
-    console.log(`   First release: ${JSON.stringify(teeOutput[0]).slice(0, 200)}...`);
+    // Nothing from result.json goes further until it validates
+    const validated = applyValidation(teeRun.output, intents, blog);
+    intents = validated.intents;
+    store.saveBatch(batchKey, { intentIds: intents.map(i => i.intentId), dropped: validated.dropped });
 
     // ==========================================================================
     // STEP 4: Settle batch on-chain using settleAndQueue
     // ==========================================================================
-    console.log(`\n📤 Step 4: Settling batch on-chain...`);
-
-    // Check current TEE signer
-    let currentTeeSigner;
-    try {
-      currentTeeSigner = await hook.teeSigner();
-      console.log(`   TEE Signer:  ${currentTeeSigner}`);
-    } catch (e) {
-      console.log(`   ⚠️ Could not read teeSigner`);
-    }
-    
-    // Use oracle wallet for signing - simpler than managing separate TEE key
-    const signingWallet = arbWallet;
-    
-    // Ensure oracle is set as TEE signer (auto-authorize if owner)
-    if (currentTeeSigner && currentTeeSigner.toLowerCase() !== signingWallet.address.toLowerCase()) {
-      console.log(`   Updating TEE signer to oracle wallet...`);
-      try {
-        const tx = await hook.setTeeSigner(signingWallet.address);
-        await tx.wait();
-        console.log(`   ✅ Updated TEE signer to ${signingWallet.address}`);
-        currentTeeSigner = signingWallet.address;
-      } catch (e) {
-        console.log(`   ⚠️ Could not update TEE signer: ${e.reason || e.message?.slice(0, 50)}`);
-        // Try with TEE_SIGNER_KEY as fallback
-        console.log(`   Trying with TEE_SIGNER_KEY...`);
-      }
-    }
-
-    // Build SettlementBatch struct matching MoleSwapHook.sol
-    // The TEE output contains releases, we need to also build ammSettlements
-    
-    const internalMatches = []; // TEE would provide these for peer-to-peer matches
-    const ammSettlements = [];
-    const releases = [];
+    setStage(batchKey, 'settlement');
+    blog = blog.child({ intentIds: intents.map(i => i.intentId) });
+
+    const intentsById = new Map(intents.map(i => [i.intentId.toLowerCase(), i]));
+    const batch = CONFIG.TEE_SIGNATURE_MODE === 'relay'
+      ? await relayEnclaveBatch(validated.output, intentsById, blog)
+      : await resignBatch(validated.output, intentsById, blog);
+    const { batchId, internalMatches, ammSettlements, releases } = batch;
     const currentTime = Math.floor(Date.now() / 1000);
-    
-    // Get batchId from TEE output or generate one
-    const batchId = teeOutput[0]?.batchId || 
-                    rawTeeOutput?.settlementBatch?.batchId ||
-                    rawTeeOutput?.summary?.batchId ||
-                    ethers.keccak256(ethers.toUtf8Bytes(`batch-${Date.now()}`));
-    
-    const batchTimestamp = currentTime;
-
-    console.log(`   Batch ID: ${batchId.slice(0, 20)}...`);
-    console.log(`   Timestamp: ${batchTimestamp}`);
-
-    for (let i = 0; i < teeOutput.length; i++) {
-      const r = teeOutput[i];
-      
-      // Validate required fields
-      if (!r.intentId || !r.stealthAddress || !r.encryptedStealthKey) {
-        console.log(`   ❌ Release ${i} missing fields`);
-        continue;
-      }
-
-      // Get the intent to determine token
-      const intent = await hook.getIntent(r.intentId);
-      const tokenOut = r.token || intent.tokenOut;
-      
-      // Build ammSettlement entry
-      ammSettlements.push({
-        intentId: r.intentId,
-        stealthAddress: r.stealthAddress,
-        amountOut: ethers.parseUnits(r.amount?.toString() || '0', 0), // Already in wei from TEE
-        zeroForOne: true // Will be determined by token direction
-      });
-
-      // Build release entry with ABSOLUTE releaseTime (contract expects this)
-      // Contract validates: releaseTime >= block.timestamp + MIN_DELAY (60s)
-      // Contract validates: releaseTime <= block.timestamp + MAX_DELAY (180s)
-      // Use 90s as default (middle of range) to avoid edge cases
-      let releaseTime;
-      if (r.releaseTime) {
-        releaseTime = Number(r.releaseTime);
-      } else {
-        // Default: 90 seconds from now (safe middle of 60-180 range)
-        releaseTime = currentTime + 90;
-      }
-      
-      // Ensure release time is valid (65-175s from now to have buffer)
-      const minReleaseTime = currentTime + 65;  // Buffer above 60s minimum
-      const maxReleaseTime = currentTime + 175; // Buffer below 180s maximum
-      if (releaseTime < minReleaseTime) releaseTime = minReleaseTime;
-      if (releaseTime > maxReleaseTime) releaseTime = maxReleaseTime;
-      
-      releases.push({
-        token: tokenOut,
-        stealthAddress: r.stealthAddress,
-        amount: r.amount?.toString() || '0',
-        releaseTime: releaseTime,
-        encryptedStealthKey: r.encryptedStealthKey,
-        intentId: r.intentId,
-        executed: false
-      });
+    blog = blog.child({ batchId });
+
+    const estimatedGas = estimateSettlementGas(batch, GAS_COSTS);
+    store.saveBatch(batchKey, { batchId, signatureMode: CONFIG.TEE_SIGNATURE_MODE, estimatedGas });
+    blog.info('Settling batch on-chain', {
+      signatureMode: CONFIG.TEE_SIGNATURE_MODE,
+      estimatedGas,
+      gasBudget: CONFIG.SETTLEMENT_GAS_BUDGET,
+    });
+    if (estimatedGas > CONFIG.SETTLEMENT_GAS_BUDGET) {
+      blog.warn('Batch exceeds the gas budget; check the GAS_PER_* settings', { estimatedGas });
     }
 
-    if (releases.length === 0) {
-      throw new Error('No valid releases after validation');
+    if (!teeRun.enclave) {
+      blog.warn('Settling a batch produced without an enclave', { backend: teeRun.backend });
     }
 
-    console.log(`   AMM settlements: ${ammSettlements.length}`);
-    console.log(`   Releases:        ${releases.length}`);
-    console.log(`   Release times:   ${releases.map(r => r.releaseTime - currentTime + 's from now').join(', ')}`);
-
-    // Compute batch hash matching contract's _computeBatchHash
-    // Contract does: keccak256(abi.encode(internalMatches, ammSettlements, releases, batchId, timestamp))
-    
-    // Need to ABI encode the structs exactly as Solidity does
-    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-    
-    // Encode each struct type
-    const internalMatchType = 'tuple(bytes32 buyIntentId, bytes32 sellIntentId, uint256 matchedAmount)[]';
-    const settlementType = 'tuple(bytes32 intentId, address stealthAddress, uint256 amountOut, bool zeroForOne)[]';
-    const releaseType = 'tuple(address token, address stealthAddress, uint256 amount, uint256 releaseTime, bytes encryptedStealthKey, bytes32 intentId, bool executed)[]';
-    
-    const encodedBatch = abiCoder.encode(
-      [internalMatchType, settlementType, releaseType, 'bytes32', 'uint256'],
-      [
-        internalMatches,
-        ammSettlements.map(s => [s.intentId, s.stealthAddress, s.amountOut, s.zeroForOne]),
-        releases.map(r => [r.token, r.stealthAddress, r.amount, r.releaseTime, r.encryptedStealthKey, r.intentId, r.executed]),
-        batchId,
-        batchTimestamp
-      ]
-    );
-    
-    const batchHash = ethers.keccak256(encodedBatch);
-    console.log(`   Batch hash: ${batchHash.slice(0, 30)}...`);
-
-    // Sign with EIP-191 (toEthSignedMessageHash)
-    // Contract uses: batchHash.toEthSignedMessageHash().recover(signature)
-    const teeSignature = await signingWallet.signMessage(ethers.getBytes(batchHash));
-    console.log(`   Signing wallet: ${signingWallet.address}`);
-    console.log(`   Signature:  ${teeSignature.slice(0, 30)}...`);
-
-    // Build the full batch struct for the contract call
-    const batch = {
-      internalMatches: internalMatches,
-      ammSettlements: ammSettlements.map(s => ({
-        intentId: s.intentId,
-        stealthAddress: s.stealthAddress,
-        amountOut: s.amountOut,
-        zeroForOne: s.zeroForOne
-      })),
-      releases: releases.map(r => ({
-        token: r.token,
-        stealthAddress: r.stealthAddress,
-        amount: r.amount,
-        releaseTime: r.releaseTime,
-        encryptedStealthKey: r.encryptedStealthKey,
-        intentId: r.intentId,
-        executed: r.executed
-      })),
-      batchId: batchId,
-      timestamp: batchTimestamp,
-      teeSignature: teeSignature
-    };
+    // A relayed batch keeps the release times the enclave signed (resignBatch
+    // re-times them). If they no longer fit the window the hook reverts with
+    // InvalidReleaseTime whatever else changes, so skip the simulation and
+    // queue the intents again without spending their attempts
+    const stale = CONFIG.TEE_SIGNATURE_MODE === 'relay' ? releasesOutsideWindow(releases, currentTime) : [];
+    if (stale.length > 0) {
+      deferBatch(batchKey, intents, `${stale.length} release time(s) outside the hook's window`, blog, {
+        currentTime,
+        releaseInSec: stale.map(r => Number(r.releaseTime) - currentTime),
+      });
+      return false;
+    }
 
     // Simulate first
-    console.log(`   Simulating settleAndQueue...`);
     try {
       await hook.settleAndQueue.staticCall(batch);
-      console.log(`   ✅ Simulation passed`);
+      blog.info('Settlement simulation passed');
     } catch (e) {
-      console.log(`   ❌ Simulation failed: ${e.reason || e.message}`);
+      const revert = decodeError(e);
+      blog.warn('Settlement simulation failed', { code: revert.code, error: revert.message });
+      inc('moleswap_settlement_reverts_total', { stage: 'simulation', code: revert.code });
       
       // Check for specific errors
-      if (e.message?.includes('InvalidSignature')) {
-        console.log(`\n   🔍 Signature verification failed. Debug info:`);
-        console.log(`      Signing wallet:     ${signingWallet.address}`);
-        console.log(`      Contract teeSigner: ${currentTeeSigner}`);
-        console.log(`      Batch hash:         ${batchHash}`);
-        
-        // Try to recover and see what address we get
-        const recoveredAddress = ethers.verifyMessage(ethers.getBytes(batchHash), teeSignature);
-        console.log(`      Recovered address:  ${recoveredAddress}`);
+      if (revert.name === 'InvalidSignature') {
+        const batchHash = computeBatchHash(batch);
+        blog.warn('Signature verification failed', {
+          contractTeeSigner: await hook.teeSigner().catch(() => 'unknown'),
+          batchHash,
+          recovered: ethers.verifyMessage(ethers.getBytes(batchHash), batch.teeSignature),
+        });
       }
       
-      if (e.message?.includes('BatchAlreadyProcessed')) {
-        console.log(`   ⚠️ This batch was already processed`);
-        isProcessing = false;
-        return;
+      if (revert.name === 'BatchAlreadyProcessed') {
+        blog.warn('Batch was already processed');
+        store.saveBatch(batchKey, { status: 'settled', batchId });
+        for (const intent of intents) {
+          store.transitionIntent(intent.intentId, 'settled', { batchId });
+          store.addMilestone(intent.intentId, 'settled', { batchId });
+        }
+        inc('moleswap_batches_finished_total', { outcome: 'already_processed' });
+        return false;
       }
       
-      if (e.message?.includes('InvalidReleaseTime')) {
-        console.log(`   ⚠️ Release time out of bounds (must be 60-180s from now)`);
-        console.log(`      Current time: ${currentTime}`);
-        console.log(`      Release times: ${releases.map(r => r.releaseTime).join(', ')}`);
+      if (revert.name === 'InvalidReleaseTime') {
+        blog.warn('Release time out of bounds (must be 60-180s from now)', {
+          currentTime,
+          releaseTimes: releases.map(r => r.releaseTime),
+        });
+      }
+
+      // One bad intent should not block the rest: find it, fail it, and
+      // send everyone else back through the TEE for a fresh batch
+      if (!isBatchLevel(revert)) {
+        const culprits = await isolateFailures(batch, intents, revert, blog);
+        if (culprits.size > 0) {
+          for (const [intentId, { reason, code }] of culprits) {
+            failIntent(intentId, reason, code);
+          }
+          const innocent = intents.filter(i => !culprits.has(i.intentId.toLowerCase()));
+          for (const intent of innocent) {
+            store.transitionIntent(intent.intentId, 'pending', {}, { reason: 'requeued after batch bisection' });
+            store.addMilestone(intent.intentId, 'requeued', { reason: 'requeued after batch bisection' });
+          }
+          store.saveBatch(batchKey, {
+            status: 'bisected',
+            error: revert.message,
+            errorCode: revert.code,
+            culprits: [...culprits.keys()],
+            requeued: innocent.map(i => i.intentId),
+          });
+          blog.info('Excluded failing intents, re-running the rest through the TEE', {
+            excluded: [...culprits.keys()],
+            requeued: innocent.map(i => i.intentId),
+          });
+          inc('moleswap_batches_finished_total', { outcome: 'bisected' });
+          return innocent.length > 0;
+        }
       }
       
       throw e;
     }
 
     // Send transaction
-    console.log(`   Sending settleAndQueue tx...`);
-    
     try {
-      const tx = await hook.settleAndQueue(batch, { gasLimit: 2000000 });
-      
-      console.log(`\n   🔗 SETTLEMENT TX: ${tx.hash}`);
-      console.log(`   https://sepolia.arbiscan.io/tx/${tx.hash}`);
+      const tx = await sendCall(hook, 'settleAndQueue', [batch]);
+      blog.info('Settlement tx sent', { txHash: tx.hash, url: `https://sepolia.arbiscan.io/tx/${tx.hash}` });
       
+      // The mined hash differs from tx.hash if the fee was bumped
       const receipt = await tx.wait();
+      const settlementTx = receipt.hash;
       
       if (receipt.status === 0) {
-        console.log(`   ❌ Transaction reverted on-chain`);
-        console.log(`   Gas used: ${receipt.gasUsed.toString()}`);
+        blog.error('Settlement reverted on-chain', { txHash: settlementTx, gasUsed: receipt.gasUsed });
         throw new Error('Transaction reverted');
       }
-      
-      console.log(`   ✅ Confirmed in block ${receipt.blockNumber}`);
+
+      const costWei = receipt.gasUsed * receipt.gasPrice;
+      blog.info('Settlement confirmed', {
+        txHash: settlementTx,
+        block: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        gasLimit: tx.gasLimit,
+        estimatedGas,
+        costEth: ethers.formatEther(costWei),
+      });
+      observe('moleswap_settlement_gas_used', {}, Number(receipt.gasUsed));
+      inc('moleswap_batches_finished_total', { outcome: 'settled' });
+
+      store.saveBatch(batchKey, {
+        status: 'settled',
+        batchId,
+        settlementTx,
+        gasLimit: tx.gasLimit.toString(),
+        l1GasEstimate: tx.l1GasEstimate?.toString(),
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: receipt.gasPrice.toString(),
+        costWei: costWei.toString(),
+      });
+      for (const intent of intents) {
+        store.transitionIntent(intent.intentId, 'settled', { batchId, settlementTx }, { txHash: settlementTx });
+        store.addMilestone(intent.intentId, 'settled', { batchId, txHash: settlementTx });
+      }
       
       // Parse events
-      for (const log of receipt.logs) {
+      for (const entry of receipt.logs) {
         try {
-          const parsed = hook.interface.parseLog({ topics: log.topics, data: log.data });
+          const parsed = hook.interface.parseLog({ topics: entry.topics, data: entry.data });
           if (parsed) {
-            console.log(`   Event: ${parsed.name}`);
             if (parsed.name === 'BatchSettled') {
-              console.log(`     BatchId: ${parsed.args.batchId}`);
-              console.log(`     Internal: ${parsed.args.internalMatches}`);
-              console.log(`     AMM: ${parsed.args.ammSwaps}`);
-              console.log(`     Releases: ${parsed.args.releasesQueued}`);
+              blog.debug('BatchSettled', {
+                internalMatches: parsed.args.internalMatches,
+                ammSwaps: parsed.args.ammSwaps,
+                releasesQueued: parsed.args.releasesQueued,
+              });
             }
             if (parsed.name === 'ReleaseQueued') {
-              console.log(`     ReleaseId: ${parsed.args.releaseId}`);
-              console.log(`     StealthAddr: ${parsed.args.stealthAddress}`);
-              console.log(`     Amount: ${ethers.formatUnits(parsed.args.amount, 18)}`);
-              console.log(`     ReleaseTime: ${parsed.args.releaseTime} (in ${Number(parsed.args.releaseTime) - currentTime}s)`);
+              // Arm the release now rather than after the event is confirmed
+              trackRelease(parsed.args.releaseId, {
+                intentId: parsed.args.intentId.toLowerCase(),
+                stealthAddress: parsed.args.stealthAddress,
+                amount: parsed.args.amount.toString(),
+                releaseTime: Number(parsed.args.releaseTime),
+                queueTx: settlementTx,
+              });
+              store.upsertIntent(parsed.args.intentId, {
+                releaseId: parsed.args.releaseId,
+                releaseTime: Number(parsed.args.releaseTime),
+              });
+              store.addMilestone(
+                parsed.args.intentId,
+                'release_queued',
+                { releaseId: parsed.args.releaseId, releaseTime: Number(parsed.args.releaseTime), txHash: settlementTx },
+                { unique: true }
+              );
+              blog.info('Release queued', {
+                intentIds: [parsed.args.intentId],
+                releaseId: parsed.args.releaseId,
+                stealthAddress: parsed.args.stealthAddress,
+                amount: ethers.formatUnits(parsed.args.amount, 18),
+                releaseTime: parsed.args.releaseTime,
+                inSec: Number(parsed.args.releaseTime) - currentTime,
+              });
             }
           }
         } catch {}
       }
 
-      console.log(`\n📊 Summary: ${internalMatches.length} internal, ${ammSettlements.length} AMM, ${releases.length} releases queued`);
+      blog.info('Batch settled', {
+        txHash: settlementTx,
+        internalMatches: internalMatches.length,
+        ammSettlements: ammSettlements.length,
+        releases: releases.length,
+      });
       
     } catch (txError) {
-      console.log(`   ❌ Transaction failed`);
-      
-      // Try to decode the error
+      const decoded = decodeError(txError);
+      blog.error('Settlement transaction failed', {
+        txHash: txError.receipt?.hash,
+        gasUsed: txError.receipt?.gasUsed,
+        status: txError.receipt?.status,
+        code: decoded.code,
+        guidance: decoded.guidance,
+      });
       if (txError.receipt) {
-        console.log(`   Gas used: ${txError.receipt.gasUsed?.toString()}`);
-        console.log(`   Status: ${txError.receipt.status}`);
-      }
-      
-      // Check if it's a known error
-      const errorMsg = txError.message || '';
-      if (errorMsg.includes('OVERFLOW')) {
-        console.log(`   💡 OVERFLOW error - likely insufficient token balance or allowance`);
-        console.log(`   Check: User has tokens? User approved hook? Hook has output tokens?`);
-      } else if (errorMsg.includes('InvalidSignature')) {
-        console.log(`   💡 InvalidSignature - teeSigner mismatch`);
-      } else if (errorMsg.includes('InvalidReleaseTime')) {
-        console.log(`   💡 InvalidReleaseTime - release time outside 60-180s window`);
+        inc('moleswap_settlement_reverts_total', { stage: 'onchain', code: decoded.code });
+        observe('moleswap_settlement_gas_used', {}, Number(txError.receipt.gasUsed));
       }
       
       throw txError;
     }
 
-    // Execute any ready releases
-    await executeReadyReleases();
-
   } catch (e) {
-    console.error(`\n❌ Batch error: ${e.message}`);
-    if (e.stack) console.error(e.stack.split('\n').slice(0, 3).join('\n'));
+    // Requeue (or dead-letter) every intent still claimed by this batch
+    const { code } = decodeError(e);
+    blog.error('Batch failed', { code, error: e });
+    for (const intent of intents) {
+      if (store.getIntent(intent.intentId)?.status === 'batched') {
+        failIntent(intent.intentId, e.message, code);
+      }
+    }
+    store.saveBatch(batchKey, { status: 'failed', error: e.message, errorCode: code, gasUsed: e.receipt?.gasUsed?.toString() });
+    inc('moleswap_batches_finished_total', { outcome: 'failed' });
+  }
+
+  return false;
+}
+
+/** Releases whose releaseTime would not land inside the hook's window if settled now. */
+function releasesOutsideWindow(releases, currentTime) {
+  const earliest = currentTime + RELEASE_WINDOW.minSec + RELEASE_WINDOW.bufferSec;
+  const latest = currentTime + RELEASE_WINDOW.maxSec - RELEASE_WINDOW.bufferSec;
+  return releases.filter(r => Number(r.releaseTime) < earliest || Number(r.releaseTime) > latest);
+}
+
+/**
+ * Give up on a TEE result whose release times cannot settle. Its intents go
+ * back in the queue without spending an attempt; a new batch gets new times.
+ */
+function deferBatch(batchKey, intents, reason, blog, details = {}) {
+  blog.warn('Release times outside the hook window, deferring batch', { reason, signatureMode: CONFIG.TEE_SIGNATURE_MODE, ...details });
+  for (const intent of intents) {
+    deferIntent(intent.intentId, reason, 'RELEASE_WINDOW_MISSED');
   }
+  store.saveBatch(batchKey, { status: 'deferred', error: reason, errorCode: 'RELEASE_WINDOW_MISSED' });
+  inc('moleswap_batches_finished_total', { outcome: 'deferred' });
+}
 
-  isProcessing = false;
+/** The fields of a stored intent the matcher receives. */
+function teeInput(record) {
+  return {
+    intentId: record.intentId,
+    sender: record.sender,
+    tokenIn: record.tokenIn,
+    tokenOut: record.tokenOut,
+    amountIn: record.amountIn,
+    viewingPubKey: record.viewingPubKey,
+  };
 }
 
 // =============================================================================
-// RELEASE EXECUTION
+// SETTLEMENT BATCH CONSTRUCTION
 // =============================================================================
-async function executeReadyReleases() {
+
+/**
+ * Work out which intents made a settlement simulation revert. Bisection with
+ * state-override eth_calls comes first; intents it cannot pin down (the RPC
+ * lacks overrides, a failing internal match has two candidates, or a group
+ * only fails together) are re-checked against admission rules.
+ *
+ * @returns {Promise<Map<string, { reason: string, code: string }>>} intentId (lowercase) → failure
+ */
+async function isolateFailures(batch, intents, revert, blog) {
+  blog.info('Isolating failing intents', { revert: revert.name });
+  const culprits = new Map();
+  const suspects = new Set();
+  const failedPairs = [];
+
   try {
-    const ready = await hook.getReleasesReadyToExecute();
-    
-    if (ready.length === 0) return;
-    
-    console.log(`\n🔓 ${ready.length} release(s) ready to execute`);
-    
-    for (const releaseId of ready) {
-      try {
-        const release = await hook.getRelease(releaseId);
-        
-        console.log(`   Executing: ${releaseId.slice(0, 20)}...`);
-        console.log(`   Token:     ${release.token}`);
-        console.log(`   Stealth:   ${release.stealthAddress}`);
-        console.log(`   Amount:    ${ethers.formatUnits(release.amount, 18)}`);
-        
-        const tx = await hook.executeRelease(releaseId, { gasLimit: 500000 });
-        console.log(`   Tx:        ${tx.hash}`);
-        
-        await tx.wait();
-        console.log(`   ✅ Tokens sent to stealth address!`);
-        
-      } catch (e) {
-        console.log(`   ❌ Failed: ${e.message?.slice(0, 50)}`);
+    const result = await bisectBatch(batch);
+    for (const { intentIds, revert: unitRevert } of result.culprits) {
+      if (intentIds.length === 1) {
+        culprits.set(intentIds[0].toLowerCase(), {
+          reason: `Settlement simulation reverted: ${unitRevert.message}`,
+          code: unitRevert.code,
+        });
+      } else {
+        intentIds.forEach(id => suspects.add(id.toLowerCase()));
+        failedPairs.push({ intentIds, revert: unitRevert });
       }
     }
+    result.unresolved.forEach(id => suspects.add(id.toLowerCase()));
+  } catch (e) {
+    blog.warn('Bisection failed', { error: e });
+    intents.forEach(i => suspects.add(i.intentId.toLowerCase()));
+  }
+
+  if (suspects.size > 0) {
+    const records = [...suspects].map(id => store.getIntent(id)).filter(Boolean);
+    const { held } = await admitIntents(records);
+    for (const { record, reason, code } of held) {
+      culprits.set(record.intentId.toLowerCase(), { reason, code });
+    }
+  }
+
+  // An internal match that reverts on its own with neither side at fault
+  // by admission rules cannot be narrowed further; fail both sides
+  for (const { intentIds, revert: unitRevert } of failedPairs) {
+    const ids = intentIds.map(id => id.toLowerCase());
+    if (!ids.some(id => culprits.has(id))) {
+      ids.forEach(id => culprits.set(id, {
+        reason: `Internal match simulation reverted: ${unitRevert.message}`,
+        code: unitRevert.code,
+      }));
+    }
+  }
+
+  for (const [intentId, { reason, code }] of culprits) {
+    blog.info('Failing intent identified', { intentIds: [intentId], code, reason });
+  }
+  return culprits;
+}
+
+/**
+ * Check the TEE output against the intents that went in. Relay mode cannot
+ * alter a signed batch, so any problem rejects it; resign mode drops the
+ * offending intents (plus their internal-match partners) and settles the rest.
+ */
+function applyValidation(output, intents, blog) {
+  const { valid, batchErrors, intentErrors } = validateTeeOutput(output, intents);
+  if (valid) {
+    blog.info('TEE output valid');
+    return { output, intents, dropped: [] };
+  }
+
+  for (const error of batchErrors) {
+    blog.warn('Invalid TEE output', { error });
+  }
+  for (const [intentId, reasons] of intentErrors) {
+    blog.warn('Invalid TEE output for intent', { intentIds: [intentId], reasons });
+  }
+
+  if (batchErrors.length > 0 || CONFIG.TEE_SIGNATURE_MODE === 'relay') {
+    const first = batchErrors[0] || [...intentErrors.values()][0][0];
+    throw new Error(`TEE output rejected (${batchErrors.length} batch, ${intentErrors.size} intent error(s)): ${first}`);
+  }
+
+  const { batch, partners } = dropIntents(output.settlementBatch, intentErrors.keys());
+  for (const [intentId, reasons] of intentErrors) {
+    failIntent(intentId, `Invalid TEE output: ${reasons.join('; ')}`, 'TEE_OUTPUT_INVALID');
+  }
+  for (const intentId of partners) {
+    store.transitionIntent(intentId, 'pending', {}, { reason: 'internal match partner dropped from batch' });
+    store.addMilestone(intentId, 'requeued', { reason: 'internal match partner dropped from batch' });
+  }
+
+  const dropped = [...intentErrors.keys(), ...partners];
+  const remaining = intents.filter(i => !dropped.includes(i.intentId.toLowerCase()));
+  blog.warn('Dropped intents from the batch', { dropped, remaining: remaining.length });
+  if (remaining.length === 0) {
+    throw new Error('TEE output rejected: no valid intents left');
+  }
+
+  return { output: { ...output, settlementBatch: batch }, intents: remaining, dropped };
+}
+
+/**
+ * Strict mode: pass the enclave's settlementBatch through unchanged, after
+ * checking off-chain that it was signed by the expected enclave signer and
+ * that the hook agrees. Any disagreement raises an alert and aborts.
+ */
+async function relayEnclaveBatch(output, intentsById, blog) {
+  const batch = output?.settlementBatch;
+  if (!batch?.teeSignature || batch.teeSignature === '0x') {
+    throw new Error('TEE output has no signed settlementBatch');
+  }
+
+  // A signed batch cannot be corrected, only rejected
+  const mismatches = findDirectionMismatches(batch.ammSettlements, intentsById, await getPoolCurrency0());
+  if (mismatches.length > 0) {
+    throw new Error(`TEE batch has wrong zeroForOne for ${mismatches.length} AMM settlement(s): ${mismatches.map(m => m.intentId).join(', ')}`);
+  }
+
+  const recovered = ethers.verifyMessage(ethers.getBytes(computeBatchHash(batch)), batch.teeSignature);
+  const onChain = await hook.teeSigner();
+  const expected = CONFIG.EXPECTED_TEE_SIGNER || onChain;
+
+  if (!sameAddress(recovered, expected) || !sameAddress(expected, onChain)) {
+    raiseAlert('tee_signer_mismatch', 'Refusing to settle: enclave signer, expected signer and hook teeSigner disagree', {
+      batchId: batch.batchId,
+      recovered,
+      claimed: output.teeSigner,
+      expected,
+      onChain,
+    });
+    throw new Error(`TEE signer mismatch: batch signed by ${recovered}, expected ${expected}, hook has ${onChain}`);
+  }
+
+  blog.info('Enclave signature verified, relaying batch verbatim', { batchId: batch.batchId, teeSigner: recovered });
+  return batch;
+}
+
+/**
+ * Default mode: carry the TEE's internal matches, AMM settlements and releases
+ * into a fresh batch and sign it with the oracle wallet, making the oracle the
+ * hook's teeSigner if it is not already. The enclave signature is discarded,
+ * so this offers no TEE guarantee.
+ */
+async function resignBatch(output, intentsById, blog) {
+  const teeBatch = output.settlementBatch;
+  blog.info('TEE summary', { summary: output.summary });
+
+  // Check current TEE signer
+  let currentTeeSigner;
+  try {
+    currentTeeSigner = await hook.teeSigner();
   } catch (e) {
-    console.log(`   ⚠️ Release check error: ${e.message}`);
+    blog.warn('Could not read teeSigner', { error: e });
   }
+  
+  // Use oracle wallet for signing - simpler than managing separate TEE key
+  const signingWallet = arbWallet;
+  
+  // Ensure oracle is set as TEE signer (auto-authorize if owner)
+  if (currentTeeSigner && currentTeeSigner.toLowerCase() !== signingWallet.address.toLowerCase()) {
+    try {
+      const tx = await sendCall(hook, 'setTeeSigner', [signingWallet.address]);
+      await tx.wait();
+      blog.info('Updated TEE signer to oracle wallet', { from: currentTeeSigner, to: signingWallet.address, txHash: tx.hash });
+      currentTeeSigner = signingWallet.address;
+    } catch (e) {
+      blog.warn('Could not update TEE signer', { error: e });
+    }
+  }
+
+  const currentTime = Math.floor(Date.now() / 1000);
+  const currency0 = await getPoolCurrency0();
+
+  // Peer-to-peer matches go through as produced - they are what save users pool fees
+  const internalMatches = teeBatch.internalMatches.map(m => ({
+    buyIntentId: m.buyIntentId,
+    sellIntentId: m.sellIntentId,
+    matchedAmount: m.matchedAmount.toString(),
+  }));
+
+  // AMM settlements keep the TEE's amountOut; zeroForOne follows the pool ordering
+  const ammSettlements = teeBatch.ammSettlements.map(s => {
+    const intent = intentsById.get(s.intentId.toLowerCase());
+    const zeroForOne = intent ? isZeroForOne(intent.tokenIn, currency0) : s.zeroForOne;
+    if (zeroForOne !== s.zeroForOne) {
+      blog.warn('Correcting zeroForOne', { intentIds: [s.intentId], from: s.zeroForOne, to: zeroForOne });
+    }
+    return {
+      intentId: s.intentId,
+      stealthAddress: s.stealthAddress,
+      amountOut: s.amountOut.toString(),
+      zeroForOne,
+    };
+  });
+
+  // Releases are carried as produced, except that releaseTime is pulled back
+  // inside the hook's window since the TEE ran a while ago
+  const earliest = currentTime + RELEASE_WINDOW.minSec + RELEASE_WINDOW.bufferSec;
+  const latest = currentTime + RELEASE_WINDOW.maxSec - RELEASE_WINDOW.bufferSec;
+  const releases = teeBatch.releases.map(r => ({
+    token: r.token,
+    stealthAddress: r.stealthAddress,
+    amount: r.amount.toString(),
+    releaseTime: Math.min(Math.max(Number(r.releaseTime), earliest), latest),
+    encryptedStealthKey: r.encryptedStealthKey,
+    intentId: r.intentId,
+    executed: false,
+  }));
+
+  const batchId = teeBatch.batchId;
+  const batchTimestamp = currentTime;
+
+  blog.info('Re-signing batch', {
+    batchId,
+    timestamp: batchTimestamp,
+    internalMatches: internalMatches.length,
+    ammSettlements: ammSettlements.length,
+    releaseInSec: releases.map(r => r.releaseTime - currentTime),
+  });
+
+  // Build the full batch struct for the contract call, signed the way
+  // the hook verifies it (EIP-191 over _computeBatchHash)
+  const batch = {
+    internalMatches,
+    ammSettlements,
+    releases,
+    batchId,
+    timestamp: batchTimestamp,
+  };
+  const teeSignature = await signBatch(batch, signingWallet);
+  batch.teeSignature = teeSignature;
+  blog.debug('Batch signed', { batchId, batchHash: computeBatchHash(batch), signer: signingWallet.address, teeSignature });
+
+  return batch;
+}
+
+async function getPoolCurrency0() {
+  if (!poolCurrency0) {
+    ({ currency0: poolCurrency0 } = await hook.poolKey());
+  }
+  return poolCurrency0;
+}
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+/** Gauges read on each /metrics scrape: queue sizes, RLC stake, hook balances. */
+function registerMetricCollectors() {
+  addCollector(() => {
+    resetGauge('moleswap_intents');
+    const counts = {};
+    for (const record of store.listIntents()) {
+      counts[record.status] = (counts[record.status] || 0) + 1;
+    }
+    for (const [status, count] of Object.entries(counts)) {
+      setGauge('moleswap_intents', { status }, count);
+    }
+    setGauge('moleswap_releases_pending', {}, store.listReleases(r => !r.executed).length);
+    setGauge('moleswap_iexec_claims_pending', {}, pendingClaims().length);
+  });
+
+  if (iexec) {
+    addCollector(async () => {
+      const balance = await iexec.account.checkBalance(arbWallet.address);
+      setGauge('moleswap_rlc_balance', { kind: 'stake' }, Number(ethers.formatUnits(balance.stake.toString(), 9)));
+      setGauge('moleswap_rlc_balance', { kind: 'locked' }, Number(ethers.formatUnits(balance.locked.toString(), 9)));
+    });
+  }
+
+  addCollector(async () => {
+    const [balA, balB] = await Promise.all([
+      moleA.balanceOf(CONFIG.HOOK_ADDRESS),
+      moleB.balanceOf(CONFIG.HOOK_ADDRESS),
+    ]);
+    setGauge('moleswap_hook_token_balance', { token: 'MOLE-A' }, Number(ethers.formatUnits(balA, 18)));
+    setGauge('moleswap_hook_token_balance', { token: 'MOLE-B' }, Number(ethers.formatUnits(balB, 18)));
+  });
 }
 
 // =============================================================================
@@ -791,40 +1333,78 @@ async function executeReadyReleases() {
 // =============================================================================
 function startHttpServer() {
   const app = express();
-  app.use(cors());
-  app.use(express.json());
+  app.set('trust proxy', CONFIG.TRUST_PROXY);
+  if (CONFIG.CORS_ORIGINS.length === 0) {
+    log.warn('CORS_ORIGINS is not set; any origin can call the oracle');
+  }
+  app.use(cors({ origin: CONFIG.CORS_ORIGINS.length > 0 ? CONFIG.CORS_ORIGINS : true }));
+  app.use(express.json({ limit: '16kb' }));
+
+  // Faucet challenge (FAUCET_CHALLENGE); answered in the POST /faucet body
+  app.get('/faucet/challenge', rateLimit('challenge'), (req, res) => {
+    const { address } = req.query;
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    res.json(issueChallenge(address));
+  });
 
   // Faucet endpoint
   app.post('/faucet', async (req, res) => {
-    const { address } = req.body;
+    const { address } = req.body || {};
     
-    if (!address || !ethers.isAddress(address)) {
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+      inc('moleswap_faucet_requests_total', { result: 'invalid' });
       return res.status(400).json({ error: 'Invalid address' });
     }
 
-    const lastRequest = faucetLimits.get(address.toLowerCase());
-    if (lastRequest && Date.now() - lastRequest < CONFIG.FAUCET_COOLDOWN_MS) {
-      const remaining = Math.ceil((CONFIG.FAUCET_COOLDOWN_MS - (Date.now() - lastRequest)) / 60000);
-      return res.status(429).json({ error: `Rate limited. Try again in ${remaining} minutes.` });
+    const challengeError = verifyChallenge(address, req.body);
+    if (challengeError) {
+      inc('moleswap_faucet_requests_total', { result: 'challenge_failed' });
+      return res.status(403).json({ error: challengeError });
+    }
+
+    // Check both limits before taking from either, so a refusal on one does
+    // not use up the other
+    const limits = [['faucet-ip', req.ip], ['faucet-address', address]];
+    for (const [policy, id] of limits) {
+      const { allowed, retryAfterSec } = peek(policy, id);
+      if (!allowed) {
+        inc('moleswap_faucet_requests_total', { result: 'rate_limited' });
+        res.set('Retry-After', String(retryAfterSec));
+        return res.status(429).json({ error: `Rate limited. Try again in ${formatWait(retryAfterSec)}.`, retryAfterSec });
+      }
+    }
+
+    // A request refused for the budget pays nothing, so it costs no allowance either
+    const day = new Date().toISOString().slice(0, 10);
+    const payout = Number(CONFIG.FAUCET_AMOUNT);
+    if (store.getFaucetPaid(day) + payout > CONFIG.FAUCET_DAILY_BUDGET) {
+      inc('moleswap_faucet_requests_total', { result: 'budget_exhausted' });
+      return res.status(429).json({ error: 'The faucet\'s daily budget is used up. Try again tomorrow (UTC).' });
     }
 
+    // Charge the limits and reserve today's budget together, before the first
+    // await, so concurrent requests cannot overspend either
+    limits.forEach(([policy, id]) => take(policy, id));
+    store.addFaucetPaid(day, payout);
+
     try {
       const amount = ethers.parseUnits(CONFIG.FAUCET_AMOUNT, 18);
-      console.log(`🚰 Faucet: ${address.slice(0, 10)}... requesting tokens`);
       
       let txA, txB;
       try {
-        txA = await moleA.mint(address, amount, { gasLimit: 100000 });
-        txB = await moleB.mint(address, amount, { gasLimit: 100000 });
+        txA = await sendCall(moleA, 'mint', [address, amount], 'faucet MOLE-A');
+        txB = await sendCall(moleB, 'mint', [address, amount], 'faucet MOLE-B');
       } catch {
-        txA = await moleA.transfer(address, amount, { gasLimit: 100000 });
-        txB = await moleB.transfer(address, amount, { gasLimit: 100000 });
+        txA = await sendCall(moleA, 'transfer', [address, amount], 'faucet MOLE-A');
+        txB = await sendCall(moleB, 'transfer', [address, amount], 'faucet MOLE-B');
       }
       
       await Promise.all([txA.wait(), txB.wait()]);
-      faucetLimits.set(address.toLowerCase(), Date.now());
       
-      console.log(`   ✅ Sent ${CONFIG.FAUCET_AMOUNT} of each token`);
+      log.info('Faucet sent tokens', { address, amount: CONFIG.FAUCET_AMOUNT, txHashes: [txA.hash, txB.hash] });
+      inc('moleswap_faucet_requests_total', { result: 'ok' });
       
       res.json({
         success: true,
@@ -834,31 +1414,107 @@ function startHttpServer() {
         txB: txB.hash,
       });
     } catch (e) {
-      console.error(`   ❌ Faucet error: ${e.message}`);
+      log.error('Faucet error', { address, error: e });
+      store.addFaucetPaid(day, -payout);
+      inc('moleswap_faucet_requests_total', { result: 'error' });
       res.status(500).json({ error: e.message });
     }
   });
 
   // Submit intent (trigger processing)
-  app.post('/submit', async (req, res) => {
-    const { intentId } = req.body;
+  app.post('/submit', rateLimit('submit'), async (req, res) => {
+    const { intentId } = req.body || {};
+    if (typeof intentId !== 'string' || !ethers.isHexString(intentId, 32)) {
+      return res.status(400).json({ error: 'intentId must be a 0x-prefixed bytes32 hex string' });
+    }
     
-    const taskInfo = intentTasks.get(intentId);
-    if (taskInfo) {
-      return res.json({ status: 'known', ...taskInfo });
+    const record = store.getIntent(intentId);
+    if (record) {
+      return res.json({ status: 'known', ...statusView(record) });
     }
     
-    processBatch().catch(console.error);
-    res.json({ status: 'queued', intentId });
+    scheduleSoon();
+    res.json({ status: 'queued', intentId: intentId.toLowerCase() });
+  });
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', async (req, res) => {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics());
+  });
+
+  // Error codes and guidance; the frontend decodes reverts with this
+  app.get('/errors', (req, res) => {
+    res.json(errorCatalog());
+  });
+
+  // Push channel (Server-Sent Events): a `status` event with the full status
+  // view for each intent on connect and after every change
+  // One store listener fans intent changes out to every open stream
+  store.onIntentChange(record => {
+    for (const client of eventClients) {
+      if (client.watched.has(record.intentId)) client.send(statusView(record));
+    }
+  });
+
+  app.get('/events', rateLimit('events'), (req, res) => {
+    if (eventClients.size >= CONFIG.EVENTS_MAX_CLIENTS) {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: 'Too many open event streams. Poll /status/:intentId instead.' });
+    }
+    const ids = [req.query.intentId].flat()
+      .filter(Boolean)
+      .flatMap(value => String(value).split(','))
+      .map(id => id.trim().toLowerCase());
+    if (ids.length === 0 || ids.length > CONFIG.EVENTS_MAX_INTENTS || !ids.every(id => ethers.isHexString(id, 32))) {
+      return res.status(400).json({ error: `Pass 1-${CONFIG.EVENTS_MAX_INTENTS} bytes32 intentId values` });
+    }
+    const watched = new Set(ids);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    const send = view => res.write(`event: status\ndata: ${JSON.stringify(view)}\n\n`);
+
+    res.write('retry: 3000\n\n');
+    for (const id of watched) {
+      const record = store.getIntent(id);
+      send(record ? statusView(record) : { intentId: id, status: 'unknown' });
+    }
+
+    const client = { watched, send };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), CONFIG.EVENTS_HEARTBEAT_MS);
+    eventClients.add(client);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      eventClients.delete(client);
+    });
   });
 
   // Check intent status
   app.get('/status/:intentId', (req, res) => {
-    const taskInfo = intentTasks.get(req.params.intentId);
-    res.json(taskInfo ? { ...taskInfo, intentId: req.params.intentId } : { status: 'unknown' });
+    if (!ethers.isHexString(req.params.intentId, 32)) {
+      return res.status(400).json({ error: 'intentId must be a 0x-prefixed bytes32 hex string' });
+    }
+    const record = store.getIntent(req.params.intentId);
+    res.json(record ? statusView(record) : { status: 'unknown' });
   });
 
-  // Health check
+  // Liveness: the process is up and serving requests
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'ok', uptimeSec: Math.round(process.uptime()) });
+  });
+
+  // Readiness: 503 with the failing checks when the oracle cannot settle
+  app.get('/health/ready', async (req, res) => {
+    const result = await checkReadiness();
+    res.status(result.ready ? 200 : 503).json({ status: result.ready ? 'ready' : 'not_ready', ...result });
+  });
+
+  // Health check (overview; see /health/ready for whether the oracle can settle)
   app.get('/health', async (req, res) => {
     let faucetBalanceA = '0', faucetBalanceB = '0';
     try {
@@ -871,46 +1527,302 @@ function startHttpServer() {
       oracle: arbWallet?.address,
       hook: CONFIG.HOOK_ADDRESS,
       tokens: { 'MOLE-A': CONFIG.MOLE_A, 'MOLE-B': CONFIG.MOLE_B },
-      faucet: { amount: CONFIG.FAUCET_AMOUNT, balanceA: faucetBalanceA, balanceB: faucetBalanceB },
-      trackedIntents: intentTasks.size,
-      isProcessing,
+      faucet: {
+        amount: CONFIG.FAUCET_AMOUNT,
+        balanceA: faucetBalanceA,
+        balanceB: faucetBalanceB,
+        dailyBudget: CONFIG.FAUCET_DAILY_BUDGET,
+        paidToday: store.getFaucetPaid(new Date().toISOString().slice(0, 10)),
+        challenge: CONFIG.FAUCET_CHALLENGE,
+      },
+      trackedIntents: store.listIntents().length,
+      releases: scheduledReleases(),
+      eventClients: eventClients.size,
+      pipeline: {
+        maxConcurrent: CONFIG.MAX_CONCURRENT_BATCHES,
+        inFlight: [...inFlight].map(([batchKey, entry]) => ({ batchKey, ...entry })),
+      },
     });
   });
 
+  // Operator dashboard (static; its API calls carry the admin credentials)
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+  });
+  app.use('/admin/api', requireAdmin, adminRouter());
+
   app.listen(CONFIG.HTTP_PORT, () => {
-    console.log(`\n🚀 Oracle started`);
-    console.log(`   HTTP:   http://localhost:${CONFIG.HTTP_PORT}`);
-    console.log(`   Health: GET  /health`);
-    console.log(`   Faucet: POST /faucet { "address": "0x..." }`);
-    console.log(`   Submit: POST /submit { "intentId": "0x..." }`);
-    console.log(`   Status: GET  /status/:intentId`);
+    log.info('Oracle started', {
+      url: `http://localhost:${CONFIG.HTTP_PORT}`,
+      routes: ['GET /health', 'GET /health/live', 'GET /health/ready', 'GET /faucet/challenge', 'POST /faucet', 'POST /submit', 'GET /status/:intentId', 'GET /events', 'GET /errors', 'GET /metrics', 'GET /admin'],
+    });
   });
 }
 
+// =============================================================================
+// ADMIN API
+// =============================================================================
+const ADMIN_INTENT_FILTERS = {
+  queued: r => r.status === 'pending' || r.status === 'held',
+  dead: r => r.status === 'dead',
+  inflight: r => r.status === 'batched',
+};
+
+function adminRouter() {
+  const router = express.Router();
+
+  router.get('/state', (req, res) => {
+    const counts = {};
+    for (const record of store.listIntents()) {
+      counts[record.status] = (counts[record.status] || 0) + 1;
+    }
+    res.json({
+      control: store.getControl(),
+      intents: counts,
+      releases: scheduledReleases(),
+      claims: { pending: pendingClaims().length },
+      pipeline: {
+        maxConcurrent: CONFIG.MAX_CONCURRENT_BATCHES,
+        inFlight: [...inFlight].map(([batchKey, entry]) => ({ batchKey, ...entry })),
+      },
+    });
+  });
+
+  // { target: 'batching' | 'releases' | 'all' }
+  router.post('/pause', (req, res) => setPaused(req, res, true));
+  router.post('/resume', (req, res) => setPaused(req, res, false));
+
+  router.post('/batch', async (req, res) => {
+    const started = await processBatch({ force: true });
+    res.json({ started, inFlight: inFlight.size });
+  });
+
+  // ?status=queued | dead | inflight
+  router.get('/intents', (req, res) => {
+    const filter = ADMIN_INTENT_FILTERS[req.query.status];
+    if (!filter) {
+      return res.status(400).json({ error: `status must be one of: ${Object.keys(ADMIN_INTENT_FILTERS).join(', ')}` });
+    }
+    const records = store.listIntents(filter).sort((a, b) => a.createdAt - b.createdAt);
+    res.json(records.map(record => ({
+      ...statusView(record),
+      sender: record.sender,
+      tokenIn: record.tokenIn,
+      tokenOut: record.tokenOut,
+      amountIn: record.amountIn,
+      deadline: record.deadline,
+      batchKey: record.batchKey,
+    })));
+  });
+
+  // { intentIds: [...] }
+  router.post('/intents/redrive', (req, res) => {
+    const ids = req.body?.intentIds;
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => ethers.isHexString(id, 32))) {
+      return res.status(400).json({ error: 'intentIds must be a non-empty array of bytes32 values' });
+    }
+    const results = ids.map(id => {
+      const record = redriveIntent(id, `re-driven by operator (${req.admin})`);
+      return record
+        ? { intentId: record.intentId, status: record.status }
+        : { intentId: id.toLowerCase(), error: `Cannot re-drive an intent that is ${store.getIntent(id)?.status || 'unknown'}` };
+    });
+    processBatch().catch(e => log.error('Scheduling error', { error: e }));
+    res.json(results);
+  });
+
+  router.get('/releases', (req, res) => {
+    res.json(store.listReleases(r => !r.executed).sort((a, b) => a.releaseTime - b.releaseTime));
+  });
+
+  router.post('/releases/:releaseId/execute', async (req, res) => {
+    const { releaseId } = req.params;
+    if (!ethers.isHexString(releaseId, 32)) {
+      return res.status(400).json({ error: 'releaseId must be bytes32' });
+    }
+    await executeRelease(releaseId);
+    const release = store.getRelease(releaseId);
+    res.status(release?.executed ? 200 : 502).json(release || { releaseId, error: 'Release not found' });
+  });
+
+  // Failed or timed-out deals whose stake has not been reclaimed yet
+  router.get('/claims', (req, res) => {
+    res.json(pendingClaims().sort((a, b) => a.createdAt - b.createdAt));
+  });
+
+  // Operator alerts raised since the last restart, newest first
+  router.get('/alerts', (req, res) => {
+    res.json(recentAlerts().reverse());
+  });
+
+  router.get('/batches', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || CONFIG.ADMIN_RECENT_BATCHES, 200);
+    const batches = store.listBatches()
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+    const txLink = hash => hash && `https://sepolia.arbiscan.io/tx/${hash}`;
+    res.json(batches.map(batch => ({
+      ...batch,
+      links: {
+        iexecTask: batch.explorerUrl,
+        matchTx: txLink(batch.matchTx),
+        settlementTx: txLink(batch.settlementTx),
+      },
+    })));
+  });
+
+  return router;
+}
+
+function setPaused(req, res, paused) {
+  const target = req.body?.target || 'all';
+  if (!['batching', 'releases', 'all'].includes(target)) {
+    return res.status(400).json({ error: 'target must be batching, releases or all' });
+  }
+  if (target !== 'releases') {
+    store.setControl({ batchingPaused: paused });
+  }
+  if (target !== 'batching') {
+    if (paused) pauseReleases();
+    else resumeReleases();
+  }
+  log.warn(paused ? 'Paused by operator' : 'Resumed by operator', { target, actor: req.admin });
+  res.json(store.getControl());
+}
+
 // =============================================================================
 // UTILITIES
 // =============================================================================
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function statusView(record) {
+  const releaseTx = record.releaseTx || (record.releaseId && store.getRelease(record.releaseId)?.executeTx);
+  const txLink = hash => hash && `https://sepolia.arbiscan.io/tx/${hash}`;
+
+  return {
+    intentId: record.intentId,
+    status: record.status,
+    taskId: record.taskId,
+    dealId: record.dealId,
+    batchId: record.batchId,
+    settlementTx: record.settlementTx,
+    releaseId: record.releaseId,
+    releaseTime: record.releaseTime,
+    releaseTx,
+    attempts: record.attempts || 0,
+    lastError: record.lastError,
+    errorCode: record.errorCode,
+    nextAttemptAt: record.nextAttemptAt,
+    holdReason: record.holdReason,
+    holdCode: record.holdCode,
+    guidance: guidanceFor(record),
+    deadLetter: record.deadLetter && {
+      ...record.deadLetter,
+      action: 'The oracle gave up on this intent. Call cancelIntent(intentId) on the hook to close it; your tokens never left your wallet.',
+    },
+    // The intent's history, authoritative and in order: submitted, admitted,
+    // batched, tee_matched, tee_running, tee_task (per iExec status),
+    // tee_completed, settled, release_queued, released (plus held / failed /
+    // requeued / tee_resumed / dead_lettered / cancelled along the way).
+    // `timeline` below only logs changes of `status`; read progress from here.
+    lifecycle: record.lifecycle || [],
+    links: {
+      iexecTask: record.explorerUrl,
+      submitTx: txLink(record.submitTx),
+      settlementTx: txLink(record.settlementTx),
+      releaseTx: txLink(releaseTx),
+    },
+    timeline: record.timeline,
+  };
+}
+
+/** Catalog guidance for whatever currently blocks the intent, if anything. */
+function guidanceFor(record) {
+  if (record.status === 'held' && record.holdCode) return lookupCode(record.holdCode).guidance;
+  if (['pending', 'dead', 'expired'].includes(record.status) && record.errorCode) return lookupCode(record.errorCode).guidance;
+  return undefined;
+}
+
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
 }
 
 // =============================================================================
 // MAIN
 // =============================================================================
 async function main() {
+  initLogger({
+    level: process.env.LOG_LEVEL,
+    format: process.env.LOG_FORMAT,
+    secrets: [
+      CONFIG.PRIVATE_KEY,
+      CONFIG.PRIVATE_KEY?.replace(/^0x/, ''),
+      CONFIG.TEE_SIGNER_KEY,
+      CONFIG.TEE_SIGNER_KEY.replace(/^0x/, ''),
+      CONFIG.ADMIN_TOKEN,
+    ],
+  });
   await init();
+  registerMetricCollectors();
   startHttpServer();
 
+  // Backfill everything that happened while we were down. On first boot this
+  // walks from HOOK_DEPLOY_BLOCK in LOG_CHUNK_SIZE steps, so it runs behind the
+  // HTTP server rather than holding up the platform healthcheck
+  const cursor = store.getCursor();
+  log.info('Backfilling events', { fromBlock: cursor ? cursor.block + 1 : CONFIG.HOOK_DEPLOY_BLOCK });
+  ingestEvents()
+    .then(applied => log.info('Backfill complete', { events: applied, block: store.getCursor()?.block }))
+    .then(() => syncReleases())
+    .catch(e => log.error('Backfill error', { error: e }));
+
+  // Keep the store in sync with the chain between batches, and arm a timer
+  // for every release that arrives
+  setInterval(() => {
+    ingestEvents()
+      .then(() => syncReleases())
+      .catch(e => log.error('Ingestion error', { error: e }));
+  }, CONFIG.INGEST_INTERVAL_MS);
+
   // Start batch processing loop
   setInterval(() => {
-    processBatch().catch(console.error);
+    processBatch().catch(e => log.error('Scheduling error', { error: e }));
   }, CONFIG.BATCH_INTERVAL_MS);
 
+  // Releases run on per-release timers; this sweep only catches stragglers
+  setInterval(() => {
+    sweepReadyReleases().catch(e => log.error('Release sweep error', { error: e }));
+  }, CONFIG.RELEASE_INTERVAL_MS);
+
+  // Reclaim stake locked in deals whose task failed or timed out
+  setInterval(() => {
+    sweepClaims().catch(e => log.error('Claim sweep error', { error: e }));
+  }, CONFIG.CLAIM_INTERVAL_MS);
+
+  // Rate-limit buckets that have refilled carry nothing; keep the store small
+  setInterval(pruneFullBuckets, 60 * 60 * 1000);
+  // Buckets change on every request and are only written out periodically
+  setInterval(store.flush, 30 * 1000);
+
+  // Keep the live store to what can still change
+  setInterval(() => {
+    const archived = store.archiveFinished(CONFIG.STORE_RETENTION_DAYS * 86400 * 1000);
+    if (Object.keys(archived).length > 0) log.info('Archived finished records', archived);
+  }, 60 * 60 * 1000);
+
+  // Railway stops the container with SIGTERM; write pending changes out first
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      log.info('Shutting down', { signal });
+      store.flush();
+      process.exit(0);
+    });
+  }
+
   // Process immediately
-  processBatch().catch(console.error);
+  processBatch().catch(e => log.error('Scheduling error', { error: e }));
 }
 
 main().catch(e => {
-  console.error('Fatal error:', e);
+  log.error('Fatal error', { error: e });
+  store.flush();
   process.exit(1);
 });
\ No newline at end of file
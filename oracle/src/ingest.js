@@ -0,0 +1,261 @@
+/**
+ * MoleSwap Oracle - Event Ingestion
+ *
+ * Reads hook events from a persisted block cursor instead of polling
+ * getPendingIntents():
+ * - Only blocks with CONFIRMATIONS confirmations are ingested
+ * - Backfills from the hook's deploy block after downtime
+ * - Detects reorgs by re-checking remembered block hashes and rolls the
+ *   store back to the fork point before re-ingesting; only changes the
+ *   events made are undone, never what the oracle recorded since
+ * - A block the RPC cannot return yet is not a reorg: the pass is skipped.
+ *   A reorg deeper than the remembered checkpoints raises an alert and stops
+ *   ingestion rather than re-ingesting all history
+ */
+import * as store from './store.js';
+import { raiseAlert } from './alerts.js';
+import { inc } from './metrics.js';
+import { log } from './logger.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+const INGESTED_EVENTS = ['IntentSubmitted', 'IntentCancelled', 'BatchSettled', 'ReleaseQueued', 'ReleaseExecuted'];
+
+// Statuses after which on-chain events no longer move an intent backwards
+const FINAL_STATUSES = ['cancelled', 'released'];
+
+let provider, hook, options;
+let isIngesting = false;
+let halted = null; // reason ingestion stopped, if it did
+
+/**
+ * @param {object} deps
+ * @param {import('ethers').Provider} deps.provider
+ * @param {import('ethers').Contract} deps.hook
+ * @param {number} deps.deployBlock    First block to backfill from
+ * @param {number} deps.confirmations  Blocks to wait before ingesting
+ * @param {number} deps.chunkSize      Max blocks per eth_getLogs call
+ * @param {number} deps.checkpoints    Cursor checkpoints kept for reorg detection
+ */
+export function initIngest(deps) {
+  ({ provider, hook } = deps);
+  options = deps;
+}
+
+// =============================================================================
+// INGESTION LOOP
+// =============================================================================
+
+/**
+ * Ingest every confirmed block since the cursor. Returns the number of
+ * events applied.
+ */
+export async function ingestEvents() {
+  if (isIngesting || halted) return 0;
+  isIngesting = true;
+
+  try {
+    if (!(await checkForReorg())) return 0;
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - options.confirmations;
+    let applied = 0;
+
+    let from = (store.getCursor()?.block ?? options.deployBlock - 1) + 1;
+    while (from <= safeHead) {
+      const to = Math.min(safeHead, from + options.chunkSize - 1);
+      const logs = await provider.getLogs({
+        address: await hook.getAddress(),
+        fromBlock: from,
+        toBlock: to,
+        topics: [INGESTED_EVENTS.map(name => hook.interface.getEvent(name).topicHash)],
+      });
+
+      for (const log of logs) {
+        const parsed = hook.interface.parseLog({ topics: log.topics, data: log.data });
+        if (parsed) {
+          try {
+            await applyEvent(parsed, log);
+          } finally {
+            // Seal a partly applied event too, so its entries hold its own
+            // changes and not those of whichever event is applied next
+            store.sealJournal();
+          }
+          applied++;
+        }
+      }
+
+      const block = await provider.getBlock(to);
+      store.setCursor(to, block.hash, options.checkpoints);
+      from = to + 1;
+    }
+
+    if (applied > 0) {
+      log.info('Ingested events', { events: applied, block: store.getCursor().block });
+    }
+    return applied;
+  } finally {
+    isIngesting = false;
+  }
+}
+
+/** Why ingestion stopped (a reorg deeper than the checkpoints), or null. */
+export function ingestHalted() {
+  return halted;
+}
+
+// =============================================================================
+// REORG HANDLING
+// =============================================================================
+
+/**
+ * Compare the cursor with the chain and roll back on a real hash mismatch.
+ * Returns false when this pass should not ingest.
+ */
+async function checkForReorg() {
+  const cursor = store.getCursor();
+  if (!cursor) return true;
+
+  const current = await provider.getBlock(cursor.block);
+  if (!current) {
+    // A lagging or load-balanced RPC, not a reorg
+    log.warn('Cursor block not available from the RPC, retrying next pass', { block: cursor.block });
+    return false;
+  }
+  if (current.hash === cursor.hash) return true;
+
+  // Walk back through remembered checkpoints until one is still canonical
+  const checkpoints = store.getRecentBlocks().reverse();
+  let fork = null;
+  for (const checkpoint of checkpoints) {
+    const block = await provider.getBlock(checkpoint.block);
+    if (!block) {
+      log.warn('Checkpoint block not available from the RPC, retrying next pass', { block: checkpoint.block });
+      return false;
+    }
+    if (block.hash === checkpoint.hash) {
+      fork = checkpoint;
+      break;
+    }
+  }
+
+  if (!fork) {
+    // Rewinding to the deploy block would re-ingest all history over state
+    // the journal can no longer undo; leave it to an operator
+    halted = `Reorg deeper than the ${checkpoints.length} remembered checkpoints below block ${cursor.block}`;
+    raiseAlert('reorg_too_deep', `Event ingestion stopped: ${halted}`, {
+      block: cursor.block,
+      oldestCheckpoint: checkpoints.at(-1)?.block,
+    });
+    return false;
+  }
+
+  const reverted = store.rollbackTo(fork.block, fork.hash);
+  log.warn('Reorg detected, rolled back', { block: cursor.block, forkBlock: fork.block, reverted });
+  return true;
+}
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+async function applyEvent(event, log) {
+  const { blockNumber: block, transactionHash: txHash } = log;
+  const args = event.args;
+
+  switch (event.name) {
+    case 'IntentSubmitted': {
+      store.journal(block, 'intents', args.intentId);
+      if (store.getIntent(args.intentId)) {
+        store.upsertIntent(args.intentId, { submitTx: txHash, submittedBlock: block });
+        break;
+      }
+      // The event omits viewingPubKey, so read the full intent once
+      const intent = await hook.getIntent(args.intentId);
+      store.upsertIntent(args.intentId, {
+        sender: intent.sender,
+        tokenIn: intent.tokenIn,
+        tokenOut: intent.tokenOut,
+        amountIn: intent.amountIn.toString(),
+        viewingPubKey: intent.viewingPubKey,
+        deadline: Number(intent.deadline),
+        submitTx: txHash,
+        submittedBlock: block,
+      });
+      store.addMilestone(args.intentId, 'submitted', { at: Number(intent.submittedAt) * 1000, txHash });
+      inc('moleswap_intents_ingested_total');
+      break;
+    }
+
+    case 'IntentCancelled': {
+      const record = store.getIntent(args.intentId);
+      if (!record || FINAL_STATUSES.includes(record.status)) break;
+      store.journal(block, 'intents', args.intentId);
+      store.transitionIntent(args.intentId, 'cancelled', {}, { txHash });
+      store.addMilestone(args.intentId, 'cancelled', { txHash });
+      break;
+    }
+
+    case 'BatchSettled': {
+      const batch = store.findBatchByBatchId(args.batchId);
+      const batchKey = batch?.batchKey || args.batchId;
+      store.journal(block, 'batches', batchKey);
+      store.saveBatch(batchKey, {
+        batchId: args.batchId,
+        status: 'settled',
+        settlementTx: txHash,
+        settledBlock: block,
+        counts: {
+          internalMatches: Number(args.internalMatches),
+          ammSwaps: Number(args.ammSwaps),
+          releasesQueued: Number(args.releasesQueued),
+        },
+      });
+      break;
+    }
+
+    case 'ReleaseQueued': {
+      store.journal(block, 'releases', args.releaseId);
+      store.saveRelease(args.releaseId, {
+        intentId: args.intentId.toLowerCase(),
+        stealthAddress: args.stealthAddress,
+        amount: args.amount.toString(),
+        releaseTime: Number(args.releaseTime),
+        queueTx: txHash,
+        executed: false,
+      });
+
+      const record = store.getIntent(args.intentId);
+      if (record && !FINAL_STATUSES.includes(record.status) && record.status !== 'queued') {
+        store.journal(block, 'intents', args.intentId);
+        store.transitionIntent(
+          args.intentId,
+          'queued',
+          { releaseId: args.releaseId, releaseTime: Number(args.releaseTime), settlementTx: record.settlementTx || txHash },
+          { txHash, releaseId: args.releaseId }
+        );
+        store.addMilestone(
+          args.intentId,
+          'release_queued',
+          { releaseId: args.releaseId, releaseTime: Number(args.releaseTime), txHash },
+          { unique: true }
+        );
+      }
+      break;
+    }
+
+    case 'ReleaseExecuted': {
+      const release = store.getRelease(args.releaseId);
+      store.journal(block, 'releases', args.releaseId);
+      store.saveRelease(args.releaseId, { executed: true, executeTx: txHash });
+
+      const record = release && store.getIntent(release.intentId);
+      if (record && record.status !== 'released') {
+        store.journal(block, 'intents', release.intentId);
+        store.transitionIntent(release.intentId, 'released', { releaseTx: txHash }, { txHash });
+        store.addMilestone(release.intentId, 'released', { releaseId: args.releaseId, txHash }, { unique: true });
+      }
+      break;
+    }
+  }
+}
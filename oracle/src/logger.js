@@ -0,0 +1,125 @@
+/**
+ * MoleSwap Oracle - Structured Logger
+ *
+ * One line per event, either JSON (for Railway and other log collectors) or
+ * a compact pretty format for terminals:
+ * - LOG_LEVEL: debug | info | warn | error (default info)
+ * - LOG_FORMAT: json | pretty (default json, or pretty on a TTY)
+ *
+ * Correlation fields (batchKey, batchId, intentIds, dealId, taskId, txHash)
+ * are passed as structured fields, never truncated, so one intent can be
+ * followed with a single grep. Child loggers bind fields for a whole batch.
+ *
+ * Known secrets are scrubbed from every line, and fields that hold keys
+ * (private keys, viewing keys, stealth keys, tokens) are redacted by name.
+ */
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED_FIELDS = new Set([
+  'privatekey',
+  'teesignerkey',
+  'secret',
+  'password',
+  'apikey',
+  'authorization',
+  'admintoken',
+  'mnemonic',
+  'viewingpubkey',
+  'viewingkey',
+  'stealthkey',
+  'stealthprivatekey',
+  'encryptedstealthkey',
+]);
+
+let config = {
+  level: 'info',
+  format: process.stdout.isTTY ? 'pretty' : 'json',
+  secrets: [],
+};
+
+/**
+ * @param {object} options
+ * @param {string} [options.level]
+ * @param {string} [options.format]
+ * @param {string[]} [options.secrets]  Values scrubbed wherever they appear
+ */
+export function initLogger(options = {}) {
+  config = {
+    level: LEVELS[options.level] ? options.level : config.level,
+    format: ['json', 'pretty'].includes(options.format) ? options.format : config.format,
+    secrets: options.secrets
+      ? options.secrets.filter(s => typeof s === 'string' && s.length >= 8)
+      : config.secrets,
+  };
+}
+
+// =============================================================================
+// LOGGER
+// =============================================================================
+function createLogger(bound) {
+  const at = level => (msg, fields = {}) => write(level, msg, { ...bound, ...fields });
+  return {
+    debug: at('debug'),
+    info: at('info'),
+    warn: at('warn'),
+    error: at('error'),
+    /** A logger that adds `fields` to every line. */
+    child: fields => createLogger({ ...bound, ...fields }),
+  };
+}
+
+export const log = createLogger({});
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[config.level]) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: scrub(msg), ...sanitize(fields, level) };
+  const line = config.format === 'json' ? JSON.stringify(entry) : pretty(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// =============================================================================
+// SERIALIZATION
+// =============================================================================
+function sanitize(value, level, fieldName) {
+  if (fieldName && REDACTED_FIELDS.has(fieldName.toLowerCase())) return '[REDACTED]';
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'string') return scrub(value);
+  if (value instanceof Error) {
+    return {
+      message: scrub(value.shortMessage || value.message),
+      code: value.code,
+      stack: level === 'error' || config.level === 'debug' ? scrub(value.stack || '') : undefined,
+    };
+  }
+  if (Array.isArray(value)) return value.map(v => sanitize(v, level));
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (v !== undefined) out[k] = sanitize(v, level, k);
+    }
+    return out;
+  }
+  return value;
+}
+
+function scrub(text) {
+  let out = String(text);
+  for (const secret of config.secrets) {
+    out = out.split(secret).join('[REDACTED]');
+  }
+  return out;
+}
+
+function pretty({ time, level, msg, ...fields }) {
+  const parts = Object.entries(fields).map(([k, v]) => {
+    const value = typeof v === 'string' ? v : JSON.stringify(v);
+    return `${k}=${/\s/.test(value) ? JSON.stringify(value) : value}`;
+  });
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${parts.length ? '  ' + parts.join(' ') : ''}`;
+}
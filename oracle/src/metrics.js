@@ -0,0 +1,123 @@
+/**
+ * MoleSwap Oracle - Prometheus Metrics
+ *
+ * A small in-process registry rendered in the Prometheus text format at
+ * GET /metrics. Modules record counters and histograms as things happen;
+ * gauges that mirror external state (queue sizes, RLC stake, hook balances)
+ * come from collectors that run on each scrape.
+ */
+import { log } from './logger.js';
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = new Map(); // name → { type, help, buckets, series: Map(labelKey → { labels, value | buckets }) }
+const collectors = [];
+
+function define(name, type, help, buckets) {
+  registry.set(name, { type, help, buckets, series: new Map() });
+}
+
+define('moleswap_intents_ingested_total', 'counter', 'IntentSubmitted events ingested into the store');
+define('moleswap_batches_built_total', 'counter', 'Batches sent to the TEE');
+define('moleswap_batch_intents', 'histogram', 'Intents per batch sent to the TEE', [1, 2, 5, 10, 20, 50]);
+define('moleswap_batches_finished_total', 'counter', 'Batches by outcome (settled, failed, bisected, already_processed)');
+define('moleswap_iexec_orderbook_lookups_total', 'counter', 'iExec orderbook lookups by book and result (found, empty, error)');
+define('moleswap_iexec_rlc_spent_total', 'counter', 'RLC paid for TEE tasks (app + workerpool price) by workerpool');
+define('moleswap_iexec_rlc_reclaimed_total', 'counter', 'RLC refunded by claiming failed or timed-out deals');
+define('moleswap_tee_task_duration_seconds', 'histogram', 'TEE task latency from deal to final status', [10, 30, 60, 90, 120, 180, 240, 300, 600]);
+define('moleswap_settlement_gas_used', 'histogram', 'Gas used by settleAndQueue', [100e3, 250e3, 500e3, 1e6, 2e6, 4e6, 6e6, 10e6]);
+define('moleswap_settlement_reverts_total', 'counter', 'settleAndQueue reverts by stage (simulation, onchain) and error code');
+define('moleswap_releases_executed_total', 'counter', 'Releases executed by the oracle');
+define('moleswap_release_failures_total', 'counter', 'Failed executeRelease attempts by error code');
+define('moleswap_release_lateness_seconds', 'histogram', 'Seconds between releaseTime and execution', [1, 2, 5, 10, 15, 30, 60, 120, 300]);
+define('moleswap_faucet_requests_total', 'counter', 'Faucet requests by result (ok, rate_limited, budget_exhausted, challenge_failed, invalid, error)');
+define('moleswap_intents', 'gauge', 'Intents in the store by status');
+define('moleswap_releases_pending', 'gauge', 'Queued releases not yet executed');
+define('moleswap_iexec_claims_pending', 'gauge', 'Failed or timed-out deals awaiting a stake claim');
+define('moleswap_rlc_balance', 'gauge', 'Oracle RLC account balance by kind (stake, locked)');
+define('moleswap_hook_token_balance', 'gauge', 'Hook token balance by token symbol');
+
+function seriesFor(name, labels) {
+  const metric = registry.get(name);
+  if (!metric) throw new Error(`Unknown metric ${name}`);
+  const labelKey = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  if (!metric.series.has(labelKey)) {
+    metric.series.set(labelKey, metric.type === 'histogram'
+      ? { labels, counts: (metric.buckets || DEFAULT_BUCKETS).map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return { metric, series: metric.series.get(labelKey) };
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+export function inc(name, labels = {}, value = 1) {
+  seriesFor(name, labels).series.value += value;
+}
+
+export function setGauge(name, labels = {}, value) {
+  seriesFor(name, labels).series.value = value;
+}
+
+/** Drop every series of a gauge before a collector repopulates it. */
+export function resetGauge(name) {
+  registry.get(name).series.clear();
+}
+
+export function observe(name, labels = {}, value) {
+  const { metric, series } = seriesFor(name, labels);
+  const buckets = metric.buckets || DEFAULT_BUCKETS;
+  buckets.forEach((bound, i) => {
+    if (value <= bound) series.counts[i]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+/** Register a function that refreshes gauges before each scrape. */
+export function addCollector(collect) {
+  collectors.push(collect);
+}
+
+// =============================================================================
+// EXPOSITION
+// =============================================================================
+
+/** Run collectors (failures are skipped) and render the text format. */
+export async function renderMetrics() {
+  await Promise.all(collectors.map(collect => Promise.resolve().then(collect).catch(e => {
+    log.warn('Metrics collector failed', { error: e });
+  })));
+
+  const lines = [];
+  for (const [name, metric] of registry) {
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      const buckets = metric.buckets || DEFAULT_BUCKETS;
+      buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
@@ -0,0 +1,98 @@
+/**
+ * MoleSwap Oracle - Rate Limits
+ *
+ * Token buckets keyed by policy and caller (IP or address). They live in
+ * memory and are flushed to the store on a timer and at shutdown, so a restart
+ * does not hand everyone a fresh allowance but a request never costs a store
+ * write. Each policy has a capacity (burst) and a refill rate; a request takes
+ * one token or is refused with the seconds until the next token arrives.
+ *
+ * Buckets that have refilled to capacity carry no information and are pruned.
+ */
+import * as store from './store.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/**
+ * @typedef {object} RatePolicy
+ * @property {number} capacity   Burst size
+ * @property {number} perSec     Tokens added per second
+ */
+
+/** @type {Record<string, RatePolicy>} */
+let policies = {};
+
+/** @param {Record<string, RatePolicy>} options  Policies by name */
+export function initRateLimits(options) {
+  policies = options;
+}
+
+// =============================================================================
+// BUCKETS
+// =============================================================================
+
+/**
+ * Take one token from `policy`'s bucket for `id`.
+ *
+ * @returns {{ allowed: boolean, retryAfterSec: number }}
+ */
+export function take(policy, id, now = Date.now()) {
+  const { capacity, perSec } = policies[policy];
+  const bucketKey = `${policy}:${id}`;
+  const bucket = refill(store.getBucket(bucketKey), capacity, perSec, now);
+
+  if (bucket.tokens < 1) {
+    store.saveBucket(bucketKey, bucket);
+    return { allowed: false, retryAfterSec: Math.ceil((1 - bucket.tokens) / perSec) };
+  }
+
+  store.saveBucket(bucketKey, { ...bucket, tokens: bucket.tokens - 1 });
+  return { allowed: true, retryAfterSec: 0 };
+}
+
+/**
+ * Check `policy`'s bucket for `id` without taking a token, for callers that
+ * must pass several limits before spending any of them.
+ *
+ * @returns {{ allowed: boolean, retryAfterSec: number }}
+ */
+export function peek(policy, id, now = Date.now()) {
+  const { capacity, perSec } = policies[policy];
+  const bucket = refill(store.getBucket(`${policy}:${id}`), capacity, perSec, now);
+  return bucket.tokens < 1
+    ? { allowed: false, retryAfterSec: Math.ceil((1 - bucket.tokens) / perSec) }
+    : { allowed: true, retryAfterSec: 0 };
+}
+
+/**
+ * Express middleware limiting by `policy`, keyed by `keyOf(req)` (the client
+ * IP by default). Refusals get 429 with Retry-After.
+ */
+export function rateLimit(policy, keyOf = req => req.ip) {
+  return (req, res, next) => {
+    const { allowed, retryAfterSec } = take(policy, keyOf(req));
+    if (allowed) return next();
+    res.set('Retry-After', String(retryAfterSec));
+    res.status(429).json({ error: `Too many requests. Try again in ${formatWait(retryAfterSec)}.`, retryAfterSec });
+  };
+}
+
+/** Remove buckets that would be full by now. */
+export function pruneFullBuckets(now = Date.now()) {
+  return store.pruneBuckets((bucket, bucketKey) => {
+    const policy = policies[bucketKey.slice(0, bucketKey.indexOf(':'))];
+    return !policy || refill(bucket, policy.capacity, policy.perSec, now).tokens >= policy.capacity;
+  });
+}
+
+function refill(bucket, capacity, perSec, now) {
+  if (!bucket) return { tokens: capacity, at: now };
+  const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.at) / 1000) * perSec);
+  return { tokens, at: now };
+}
+
+export function formatWait(seconds) {
+  return seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+}
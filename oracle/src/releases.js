@@ -0,0 +1,197 @@
+/**
+ * MoleSwap Oracle - Release Scheduler
+ *
+ * Executes each queued release as soon as its releaseTime has passed instead
+ * of waiting for the next polling cycle:
+ * - Release records come from ReleaseQueued (ingested into the store, or
+ *   read straight from a settlement receipt), so they survive restarts
+ * - Each unexecuted release gets its own timer, armed for releaseTime plus a
+ *   small margin because block.timestamp can trail wall-clock time
+ * - Failures are retried with capped exponential backoff, and every attempt
+ *   first checks getRelease(id).executed so nothing is retried once done
+ * - A periodic sweep of getReleasesReadyToExecute() catches anything the
+ *   store does not know about
+ * - Operators can pause automatic execution (persisted in the store); an
+ *   explicit executeRelease() still goes through while paused
+ */
+import { ethers } from 'ethers';
+import * as store from './store.js';
+import { sendCall } from './txmanager.js';
+import { decodeError } from './errors.js';
+import { raiseAlert } from './alerts.js';
+import { inc, observe } from './metrics.js';
+import { log } from './logger.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+let hook, options;
+const timers = new Map();
+const executing = new Set();
+
+/**
+ * @param {object} deps
+ * @param {import('ethers').Contract} deps.hook
+ * @param {number} deps.marginMs      Added to releaseTime before executing
+ * @param {number} deps.retryBaseMs   First retry delay, doubled per attempt
+ * @param {number} deps.retryMaxMs    Retry delay cap
+ * @param {number} deps.alertAfter    Attempts before an operator alert
+ */
+export function initReleases(deps) {
+  ({ hook } = deps);
+  options = deps;
+}
+
+// =============================================================================
+// SCHEDULING
+// =============================================================================
+
+/** Arm a timer for every unexecuted release in the store that has none yet. */
+export function syncReleases() {
+  if (store.getControl().releasesPaused) return 0;
+  let armed = 0;
+  for (const release of store.listReleases(r => !r.executed)) {
+    if (!timers.has(release.releaseId) && !executing.has(release.releaseId)) {
+      arm(release);
+      armed++;
+    }
+  }
+  return armed;
+}
+
+/** Record a release seen in a settlement receipt and arm it right away. */
+export function trackRelease(releaseId, fields) {
+  const release = store.saveRelease(releaseId, { ...fields, executed: store.getRelease(releaseId)?.executed || false });
+  if (!release.executed && !timers.has(release.releaseId)) arm(release);
+}
+
+function arm(release) {
+  if (store.getControl().releasesPaused) return;
+  const dueAt = Math.max(release.releaseTime * 1000 + options.marginMs, release.nextAttemptAt || 0);
+  const delay = Math.max(0, dueAt - Date.now());
+
+  clearTimeout(timers.get(release.releaseId));
+  timers.set(release.releaseId, setTimeout(() => {
+    timers.delete(release.releaseId);
+    executeRelease(release.releaseId).catch(e => log.error('Release execution error', { releaseId: release.releaseId, error: e }));
+  }, delay));
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/** Execute one release unless it already happened; re-arms itself on failure. */
+export async function executeRelease(releaseId) {
+  const id = releaseId.toLowerCase();
+  if (executing.has(id)) return;
+  executing.add(id);
+
+  try {
+    const onChain = await hook.getRelease(id);
+    if (onChain.stealthAddress === ethers.ZeroAddress && !store.getRelease(id)) {
+      return; // Rolled back by a reorg
+    }
+    if (onChain.executed) {
+      store.saveRelease(id, { executed: true });
+      return;
+    }
+
+    const intentId = store.getRelease(id)?.intentId || onChain.intentId;
+    const rlog = log.child({ releaseId: id, intentIds: [intentId] });
+    rlog.info('Executing release', {
+      token: onChain.token,
+      stealthAddress: onChain.stealthAddress,
+      amount: ethers.formatUnits(onChain.amount, 18),
+      lateBySec: Math.max(0, Math.round(Date.now() / 1000 - Number(onChain.releaseTime))),
+    });
+
+    const tx = await sendCall(hook, 'executeRelease', [id]);
+    rlog.info('Release tx sent', { txHash: tx.hash });
+
+    const receipt = await tx.wait();
+    const release = store.saveRelease(id, { executed: true, executeTx: receipt.hash, lastError: null, errorCode: null, nextAttemptAt: null });
+    store.addMilestone(release.intentId || intentId, 'released', { releaseId: id, txHash: receipt.hash }, { unique: true });
+    inc('moleswap_releases_executed_total');
+    observe('moleswap_release_lateness_seconds', {}, Math.max(0, Date.now() / 1000 - Number(onChain.releaseTime)));
+    rlog.info('Release executed, tokens sent to stealth address', { txHash: receipt.hash });
+  } catch (e) {
+    const revert = decodeError(e);
+
+    if (revert.name === 'ReleaseAlreadyExecuted') {
+      store.saveRelease(id, { executed: true });
+      return;
+    }
+
+    // Not mined yet per block.timestamp: try again shortly without counting it
+    if (revert.name === 'ReleaseNotReady') {
+      const release = store.saveRelease(id, { nextAttemptAt: Date.now() + options.marginMs });
+      arm(release);
+      return;
+    }
+
+    inc('moleswap_release_failures_total', { code: revert.code });
+    const previous = store.getRelease(id);
+    const attempts = (previous?.attempts || 0) + 1;
+    const delay = Math.min(options.retryBaseMs * 2 ** (attempts - 1), options.retryMaxMs);
+    const release = store.saveRelease(id, {
+      attempts,
+      lastError: revert.message,
+      errorCode: revert.code,
+      nextAttemptAt: Date.now() + delay,
+    });
+    log.warn('Release failed, retrying', {
+      releaseId: id,
+      intentIds: release.intentId ? [release.intentId] : undefined,
+      attempt: attempts,
+      retryInSec: Math.round(delay / 1000),
+      code: revert.code,
+      error: revert.message,
+    });
+
+    if (attempts === options.alertAfter) {
+      raiseAlert('release_failing', `Release ${id} has failed ${attempts} times`, {
+        intentId: release.intentId,
+        code: revert.code,
+        error: revert.message,
+      });
+    }
+    arm(release);
+  } finally {
+    executing.delete(id);
+  }
+}
+
+/** Backstop: execute anything the hook reports ready that has no live timer. */
+export async function sweepReadyReleases() {
+  if (store.getControl().releasesPaused) return;
+  const ready = await hook.getReleasesReadyToExecute();
+  const orphaned = ready.map(id => id.toLowerCase()).filter(id => !timers.has(id) && !executing.has(id));
+  if (orphaned.length === 0) return;
+
+  log.info('Ready releases without a timer', { releaseIds: orphaned });
+  for (const id of orphaned) {
+    await executeRelease(id);
+  }
+}
+
+export function scheduledReleases() {
+  return { armed: timers.size, executing: executing.size, paused: store.getControl().releasesPaused };
+}
+
+// =============================================================================
+// OPERATOR CONTROLS
+// =============================================================================
+
+/** Stop automatic execution: disarm every timer until resumeReleases(). */
+export function pauseReleases() {
+  store.setControl({ releasesPaused: true });
+  for (const timer of timers.values()) clearTimeout(timer);
+  timers.clear();
+}
+
+/** Resume automatic execution and re-arm every unexecuted release. */
+export function resumeReleases() {
+  store.setControl({ releasesPaused: false });
+  return syncReleases();
+}
@@ -0,0 +1,106 @@
+/**
+ * MoleSwap Oracle - Retry & Dead-Letter Policy
+ *
+ * A failed batch puts its intents back in the queue with exponential backoff.
+ * Once an intent has failed MAX_INTENT_ATTEMPTS times it is dead-lettered with
+ * the last failure reason so the user knows to call cancelIntent(). Failures
+ * that say nothing about the intent itself are deferred instead, which backs
+ * off without spending an attempt. Operators can re-drive dead-lettered
+ * intents from the admin API.
+ */
+import * as store from './store.js';
+import { log } from './logger.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+let policy = {
+  maxAttempts: 5,
+  baseDelayMs: 30000,
+  maxDelayMs: 15 * 60 * 1000,
+};
+
+export function initRetry(options) {
+  policy = { ...policy, ...options };
+}
+
+// =============================================================================
+// POLICY
+// =============================================================================
+export function backoffDelay(attempts) {
+  return Math.min(policy.baseDelayMs * 2 ** (attempts - 1), policy.maxDelayMs);
+}
+
+/** True when a queued intent's backoff has elapsed. */
+export function isDue(record, now = Date.now()) {
+  return record.status === 'pending' && (!record.nextAttemptAt || record.nextAttemptAt <= now);
+}
+
+/**
+ * Record a failed attempt for an intent. Requeues it with backoff, or moves
+ * it to the dead-letter list once attempts are exhausted. `code` is an
+ * errors.js catalog code.
+ */
+export function failIntent(intentId, reason, code = 'UNKNOWN_ERROR') {
+  const record = store.getIntent(intentId);
+  if (!record) return null;
+
+  const attempts = (record.attempts || 0) + 1;
+
+  if (attempts >= policy.maxAttempts) {
+    log.warn('Intent dead-lettered', { intentIds: [intentId], attempts, reason, code });
+    store.addMilestone(intentId, 'dead_lettered', { reason, code, attempt: attempts });
+    return store.transitionIntent(
+      intentId,
+      'dead',
+      { attempts, lastError: reason, errorCode: code, deadLetter: { reason, code, attempts, at: Date.now() }, nextAttemptAt: null },
+      { error: reason, code, attempt: attempts }
+    );
+  }
+
+  const nextAttemptAt = Date.now() + backoffDelay(attempts);
+  store.addMilestone(intentId, 'failed', { reason, code, attempt: attempts, retryAt: nextAttemptAt });
+  return store.transitionIntent(
+    intentId,
+    'pending',
+    { attempts, lastError: reason, errorCode: code, nextAttemptAt },
+    { error: reason, code, attempt: attempts, retryAt: nextAttemptAt }
+  );
+}
+
+/**
+ * Requeue an intent with backoff without spending one of its attempts, for
+ * failures outside the intent's control (e.g. a TEE result that came back too
+ * late to settle). Deferrals back off on their own counter.
+ */
+export function deferIntent(intentId, reason, code) {
+  const record = store.getIntent(intentId);
+  if (!record) return null;
+
+  const deferrals = (record.deferrals || 0) + 1;
+  const nextAttemptAt = Date.now() + backoffDelay(deferrals);
+  store.addMilestone(intentId, 'requeued', { reason, code, retryAt: nextAttemptAt });
+  return store.transitionIntent(
+    intentId,
+    'pending',
+    { deferrals, lastError: reason, errorCode: code, nextAttemptAt },
+    { error: reason, code, retryAt: nextAttemptAt }
+  );
+}
+
+/**
+ * Operator re-drive: put a dead-lettered or held intent back in the queue with
+ * a fresh attempt budget. Returns null for intents in any other state.
+ */
+export function redriveIntent(intentId, reason = 're-driven by operator') {
+  const record = store.getIntent(intentId);
+  if (!record || !['dead', 'held', 'pending'].includes(record.status)) return null;
+
+  store.addMilestone(intentId, 'requeued', { reason });
+  return store.transitionIntent(
+    intentId,
+    'pending',
+    { attempts: 0, deferrals: 0, nextAttemptAt: null, deadLetter: null, holdReason: null, holdCode: null },
+    { reason }
+  );
+}
@@ -0,0 +1,465 @@
+/**
+ * MoleSwap Oracle - Durable State Store
+ *
+ * Embedded JSON file database that survives restarts:
+ * - Intent lifecycle (status, timeline, milestones, deal/task IDs, batch, settlement tx)
+ * - Batch and release records
+ * - Stake claims for failed or timed-out iExec deals
+ * - Event ingestion cursor plus a journal of event-driven changes for reorg rollback
+ * - Rate-limit token buckets and the faucet's daily payout tally
+ * - Operator controls (paused batching / release execution)
+ * - Oracle wallet transactions (nonce, fee history, outcome)
+ *
+ * Mutations made in the same tick are flushed together with write-to-temp +
+ * rename on the next turn of the event loop, so a crash mid-write leaves the
+ * previous snapshot intact; flush() writes at once where a change must be on
+ * disk before acting on it. Rate-limit buckets change on every request and
+ * are only written by flush() (or along with the next other write).
+ *
+ * Records that can no longer change are moved to an append-only archive
+ * (`<store>.archive.jsonl`) once they are older than the retention window, so
+ * the live file only grows with what is in flight. Intent changes are also published to
+ * in-process listeners (the /events push channel).
+ */
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+// =============================================================================
+// STATE
+// =============================================================================
+const STORE_VERSION = 1;
+
+let storePath = null;
+let data = null;
+let dirty = false;
+let flushScheduled = false;
+
+const changes = new EventEmitter();
+
+function emptyStore() {
+  return {
+    version: STORE_VERSION,
+    intents: {},
+    batches: {},
+    releases: {},
+    claims: {},
+    buckets: {},
+    faucetDaily: { day: null, paid: 0 },
+    txs: {},
+    control: { batchingPaused: false, releasesPaused: false },
+    cursor: null,
+    recentBlocks: [],
+    journal: [],
+  };
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+export function openStore(file) {
+  storePath = path.resolve(file);
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+
+  if (fs.existsSync(storePath)) {
+    data = { ...emptyStore(), ...JSON.parse(fs.readFileSync(storePath, 'utf8')) };
+  } else {
+    data = emptyStore();
+    dirty = true;
+    flush();
+  }
+
+  return storePath;
+}
+
+function persist() {
+  if (!storePath) throw new Error('Store not opened');
+  dirty = true;
+  if (flushScheduled) return;
+  flushScheduled = true;
+  setImmediate(() => {
+    flushScheduled = false;
+    flush();
+  });
+}
+
+/** Write pending changes now; returns whether anything was written. */
+export function flush() {
+  if (!dirty || !storePath) return false;
+  const tmp = `${storePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, storePath);
+  dirty = false;
+  return true;
+}
+
+function key(id) {
+  return id.toLowerCase();
+}
+
+function notify(record) {
+  changes.emit('intent', record);
+}
+
+/** Subscribe to intent changes; returns an unsubscribe function. */
+export function onIntentChange(listener) {
+  changes.on('intent', listener);
+  return () => changes.off('intent', listener);
+}
+
+// =============================================================================
+// INTENTS
+// =============================================================================
+export function getIntent(intentId) {
+  return data.intents[key(intentId)] || null;
+}
+
+export function listIntents(predicate = () => true) {
+  return Object.values(data.intents).filter(predicate);
+}
+
+export function upsertIntent(intentId, fields = {}) {
+  const id = key(intentId);
+  const now = Date.now();
+  const existing = data.intents[id];
+
+  data.intents[id] = existing
+    ? { ...existing, ...fields, updatedAt: now }
+    : { intentId: id, status: 'pending', timeline: [{ status: 'pending', at: now }], createdAt: now, updatedAt: now, ...fields };
+
+  persist();
+  notify(data.intents[id]);
+  return data.intents[id];
+}
+
+/**
+ * Move an intent to a new lifecycle status and append it to the timeline.
+ * `detail` is stored on the timeline entry only; `fields` is merged into the record.
+ */
+export function transitionIntent(intentId, status, fields = {}, detail = {}) {
+  const record = getIntent(intentId) || upsertIntent(intentId);
+  const now = Date.now();
+
+  record.status = status;
+  record.timeline.push({ status, at: now, ...detail });
+  Object.assign(record, fields, { updatedAt: now });
+
+  persist();
+  notify(record);
+  return record;
+}
+
+/**
+ * Append a lifecycle milestone (submitted, admitted, tee_running, ...) without
+ * changing status. `detail.at` overrides the timestamp, e.g. with chain time.
+ * With `unique`, nothing is added if the stage is already recorded.
+ */
+export function addMilestone(intentId, stage, detail = {}, { unique = false } = {}) {
+  const record = getIntent(intentId);
+  if (!record) return null;
+
+  record.lifecycle = record.lifecycle || [];
+  if (unique && record.lifecycle.some(m => m.stage === stage)) return record;
+
+  record.lifecycle.push({ stage, at: Date.now(), ...detail });
+  record.updatedAt = Date.now();
+
+  persist();
+  notify(record);
+  return record;
+}
+
+// =============================================================================
+// BATCHES
+// =============================================================================
+export function getBatch(batchKey) {
+  return data.batches[batchKey] || null;
+}
+
+export function listBatches(predicate = () => true) {
+  return Object.values(data.batches).filter(predicate);
+}
+
+export function saveBatch(batchKey, fields) {
+  const now = Date.now();
+  const existing = data.batches[batchKey];
+
+  data.batches[batchKey] = existing
+    ? { ...existing, ...fields, updatedAt: now }
+    : { batchKey, createdAt: now, updatedAt: now, ...fields };
+
+  persist();
+  return data.batches[batchKey];
+}
+
+export function findBatchByBatchId(batchId) {
+  return Object.values(data.batches).find(b => b.batchId?.toLowerCase() === batchId.toLowerCase()) || null;
+}
+
+// =============================================================================
+// RELEASES
+// =============================================================================
+export function getRelease(releaseId) {
+  return data.releases[key(releaseId)] || null;
+}
+
+export function listReleases(predicate = () => true) {
+  return Object.values(data.releases).filter(predicate);
+}
+
+export function saveRelease(releaseId, fields) {
+  const id = key(releaseId);
+  const now = Date.now();
+  const existing = data.releases[id];
+
+  data.releases[id] = existing
+    ? { ...existing, ...fields, updatedAt: now }
+    : { releaseId: id, createdAt: now, updatedAt: now, ...fields };
+
+  persist();
+  return data.releases[id];
+}
+
+// =============================================================================
+// STAKE CLAIMS
+// =============================================================================
+export function getClaim(dealId) {
+  return data.claims[key(dealId)] || null;
+}
+
+export function listClaims(predicate = () => true) {
+  return Object.values(data.claims).filter(predicate);
+}
+
+export function saveClaim(dealId, fields) {
+  const id = key(dealId);
+  const now = Date.now();
+  const existing = data.claims[id];
+
+  data.claims[id] = existing
+    ? { ...existing, ...fields, updatedAt: now }
+    : { dealId: id, createdAt: now, updatedAt: now, ...fields };
+
+  persist();
+  return data.claims[id];
+}
+
+// =============================================================================
+// INGESTION CURSOR & REORG JOURNAL
+// =============================================================================
+export function getCursor() {
+  return data.cursor;
+}
+
+/**
+ * Advance the cursor to a fully ingested block and remember its hash so a
+ * later reorg can be detected and located.
+ */
+export function setCursor(block, hash, keepBlocks) {
+  data.cursor = { block, hash };
+  data.recentBlocks.push({ block, hash });
+  if (data.recentBlocks.length > keepBlocks) {
+    data.recentBlocks = data.recentBlocks.slice(-keepBlocks);
+  }
+  // Journal entries older than the oldest remembered block can never be rolled back
+  const floor = data.recentBlocks[0].block;
+  data.journal = data.journal.filter(entry => entry.block >= floor);
+  persist();
+}
+
+export function getRecentBlocks() {
+  return [...data.recentBlocks];
+}
+
+/**
+ * Snapshot a record before an event at `block` mutates it.
+ * Call this before applying the change, and sealJournal() once it is applied.
+ */
+export function journal(block, collection, recordKey) {
+  const id = collection === 'batches' ? recordKey : key(recordKey);
+  const prev = data[collection][id];
+  data.journal.push({ block, collection, key: id, prev: prev ? structuredClone(prev) : null, next: undefined });
+}
+
+/** Snapshot what the last applied event left behind, so a rollback can tell its changes apart. */
+export function sealJournal() {
+  for (let i = data.journal.length - 1; i >= 0 && data.journal[i].next === undefined; i--) {
+    const entry = data.journal[i];
+    const record = data[entry.collection][entry.key];
+    entry.next = record ? structuredClone(record) : null;
+  }
+}
+
+/**
+ * Undo every event-driven change above `forkBlock` and rewind the cursor to it.
+ * Returns the number of journal entries reverted.
+ *
+ * Only what the event itself changed is reverted, and only where nothing has
+ * overwritten it since: batch assignment, deal IDs or a settled status the
+ * oracle recorded later are kept. A record the event created is removed only
+ * if the oracle has not touched it since.
+ */
+export function rollbackTo(forkBlock, forkHash) {
+  const reverted = data.journal.filter(entry => entry.block > forkBlock);
+
+  for (const entry of reverted.reverse()) {
+    const records = data[entry.collection];
+    const current = records[entry.key];
+    if (!current || entry.next === undefined) continue;
+
+    if (!entry.prev) {
+      if (sameValue(current, entry.next)) delete records[entry.key];
+      continue;
+    }
+    for (const field of new Set([...Object.keys(entry.prev), ...Object.keys(entry.next || {})])) {
+      if (field === 'updatedAt') continue;
+      const before = entry.prev[field];
+      const after = entry.next?.[field];
+      if (sameValue(before, after)) continue;
+      current[field] = revertField(current[field], before, after);
+      if (current[field] === undefined) delete current[field];
+    }
+  }
+
+  data.journal = data.journal.filter(entry => entry.block <= forkBlock);
+  data.recentBlocks = data.recentBlocks.filter(b => b.block <= forkBlock);
+  data.cursor = { block: forkBlock, hash: forkHash };
+  persist();
+
+  for (const entry of reverted) {
+    if (entry.collection === 'intents' && data.intents[entry.key]) notify(data.intents[entry.key]);
+  }
+  return reverted.length;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Lists (timeline, lifecycle) drop the entries the event appended and keep
+// later ones; other fields go back only if still what the event set
+function revertField(current, before, after) {
+  if (Array.isArray(current) && Array.isArray(after) && Array.isArray(before ?? [])) {
+    const base = before ?? [];
+    const appended = after.slice(base.length);
+    if (sameValue(after.slice(0, base.length), base) && sameValue(current.slice(base.length, after.length), appended)) {
+      return [...base, ...current.slice(after.length)];
+    }
+    return current;
+  }
+  return sameValue(current, after) ? before : current;
+}
+
+// =============================================================================
+// RATE LIMITS & FAUCET BUDGET
+// =============================================================================
+export function getBucket(bucketKey) {
+  return data.buckets[key(bucketKey)] || null;
+}
+
+/** Updates memory only; the next flush() writes the change out. */
+export function saveBucket(bucketKey, bucket) {
+  data.buckets[key(bucketKey)] = bucket;
+  dirty = true;
+}
+
+/** Drop buckets matching `predicate`; returns how many were removed. */
+export function pruneBuckets(predicate) {
+  let removed = 0;
+  for (const [bucketKey, bucket] of Object.entries(data.buckets)) {
+    if (predicate(bucket, bucketKey)) {
+      delete data.buckets[bucketKey];
+      removed++;
+    }
+  }
+  if (removed > 0) persist();
+  return removed;
+}
+
+/** Tokens (of each faucet token) paid out on `day` (YYYY-MM-DD, UTC). */
+export function getFaucetPaid(day) {
+  return data.faucetDaily.day === day ? data.faucetDaily.paid : 0;
+}
+
+/** Add to (or, with a negative amount, refund) the day's payout tally. */
+export function addFaucetPaid(day, amount) {
+  const paid = getFaucetPaid(day) + amount;
+  data.faucetDaily = { day, paid: Math.max(0, paid) };
+  persist();
+}
+
+// =============================================================================
+// OPERATOR CONTROLS
+// =============================================================================
+export function getControl() {
+  return data.control;
+}
+
+export function setControl(fields) {
+  data.control = { ...data.control, ...fields, updatedAt: Date.now() };
+  persist();
+  return data.control;
+}
+
+// =============================================================================
+// TRANSACTIONS
+// =============================================================================
+export function getTx(txKey) {
+  return data.txs[key(txKey)] || null;
+}
+
+export function listTxs(predicate = () => true) {
+  return Object.values(data.txs).filter(predicate);
+}
+
+export function saveTx(txKey, fields) {
+  const id = key(txKey);
+  const now = Date.now();
+  const existing = data.txs[id];
+
+  data.txs[id] = existing
+    ? { ...existing, ...fields, updatedAt: now }
+    : { txKey: id, createdAt: now, updatedAt: now, ...fields };
+
+  persist();
+  return data.txs[id];
+}
+
+// =============================================================================
+// ARCHIVE
+// =============================================================================
+
+// Records in these states never change again
+const FINISHED = {
+  intents: r => ['released', 'cancelled', 'dead', 'expired'].includes(r.status),
+  batches: r => ['settled', 'failed', 'bisected', 'deferred'].includes(r.status),
+  releases: r => r.executed === true,
+  claims: r => r.status !== 'pending',
+  txs: r => r.status !== 'pending',
+};
+
+/**
+ * Move records that finished more than `retentionMs` ago from the live store
+ * to the archive, one JSON line each. Returns the count per collection.
+ */
+export function archiveFinished(retentionMs, now = Date.now()) {
+  const archived = {};
+  const lines = [];
+
+  for (const [collection, isFinished] of Object.entries(FINISHED)) {
+    for (const [id, record] of Object.entries(data[collection])) {
+      if (!isFinished(record) || now - (record.updatedAt || 0) < retentionMs) continue;
+      lines.push(JSON.stringify({ collection, archivedAt: now, record }));
+      delete data[collection][id];
+      archived[collection] = (archived[collection] || 0) + 1;
+    }
+  }
+
+  if (lines.length > 0) {
+    // Archive first: a crash in between leaves a record in both, never in neither
+    fs.appendFileSync(`${storePath}.archive.jsonl`, `${lines.join('\n')}\n`);
+    dirty = true;
+    flush();
+  }
+  return archived;
+}
@@ -0,0 +1,443 @@
+/**
+ * MoleSwap Oracle - Transaction Manager
+ *
+ * Every transaction from the oracle wallet goes through here:
+ * - Nonces are assigned one at a time, so concurrent sends never collide
+ * - Gas comes from eth_estimateGas (which on Arbitrum already covers the L1
+ *   data cost) plus a margin; the L1 share is read from NodeInterface
+ *   (0xC8) and recorded for cost tracking
+ * - A transaction not mined within TX_BUMP_AFTER_MS is re-sent with the
+ *   same nonce and EIP-1559 fees bumped by TX_BUMP_PERCENT. After
+ *   TX_MAX_BUMPS the nonce is cancelled with a 0-value self-transfer, so
+ *   one stuck transaction cannot block everything queued behind it
+ * - Each send is persisted (signed hashes, fees, outcome) before broadcast,
+ *   and pending ones are picked up again after a restart
+ *
+ * Transactions sent by the iExec SDK go through managedSigner(), which
+ * shares the nonce sequence. The SDK waits on the original hash, so those
+ * are never re-priced: the monitor re-sends the same signed bytes instead, and
+ * a stuck one raises an alert.
+ */
+import { ethers } from 'ethers';
+import * as store from './store.js';
+import { raiseAlert } from './alerts.js';
+import { log } from './logger.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+const NODE_INTERFACE_ADDRESS = '0x00000000000000000000000000000000000000C8';
+const NODE_INTERFACE_ABI = [
+  'function gasEstimateComponents(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimate, uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)',
+];
+
+// Broadcast errors after which the transaction may still have reached the node
+const AMBIGUOUS_ERRORS = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'UNKNOWN_ERROR'];
+
+const CANCEL_GAS_LIMIT = 21000n;
+
+let wallet, provider, options, nodeInterface, chainId;
+let nextNonce = null;
+let sendQueue = Promise.resolve();
+let isMonitoring = false;
+const waiters = new Map();
+
+/**
+ * @param {object} deps
+ * @param {import('ethers').Wallet} deps.wallet  Oracle wallet, connected to the provider
+ * @param {number} deps.bumpAfterMs      Time before an unmined tx is re-priced
+ * @param {number} deps.bumpPercent      Fee increase per re-price
+ * @param {number} deps.maxBumps         Re-prices before the nonce is cancelled
+ * @param {number} deps.gasMarginPercent Added on top of the gas estimate
+ */
+export async function initTxManager(deps) {
+  ({ wallet } = deps);
+  provider = wallet.provider;
+  options = deps;
+  nodeInterface = new ethers.Contract(NODE_INTERFACE_ADDRESS, NODE_INTERFACE_ABI, provider);
+  chainId = (await provider.getNetwork()).chainId;
+  await syncNonce();
+
+  const pending = store.listTxs(t => t.status === 'pending');
+  return { nextNonce, pending: pending.length };
+}
+
+async function syncNonce() {
+  const chainNonce = await provider.getTransactionCount(wallet.address, 'pending');
+  const tracked = store.listTxs(t => t.status === 'pending').map(t => t.nonce + 1);
+  nextNonce = Math.max(chainNonce, ...tracked);
+}
+
+// =============================================================================
+// SENDING
+// =============================================================================
+
+/**
+ * Send a transaction through the managed nonce sequence.
+ *
+ * @param {{ to: string, data?: string, value?: bigint, gasLimit?: bigint }} request
+ * @param {string} label  Shown in logs and stored with the record
+ * @returns {Promise<{ hash: string, nonce: number, gasLimit: bigint, l1GasEstimate: bigint|null, response: object, wait: () => Promise<object> }>}
+ *   `wait` resolves with the receipt of whichever re-priced version was
+ *   mined, and rejects if it reverted or the nonce was cancelled.
+ */
+export function sendTx(request, label, { bumpable = true } = {}) {
+  const run = sendQueue.then(() => submit(request, label, bumpable));
+  sendQueue = run.catch(() => {});
+  return run;
+}
+
+/** Encode and send a contract call. */
+export function sendCall(contract, method, args, label = method, overrides = {}) {
+  return sendTx({
+    to: contract.target,
+    data: contract.interface.encodeFunctionData(method, args),
+    ...overrides,
+  }, label);
+}
+
+async function submit(request, label, bumpable) {
+  const call = {
+    from: wallet.address,
+    to: request.to,
+    data: request.data || '0x',
+    value: BigInt(request.value || 0),
+  };
+
+  // Reverts surface here, before a nonce is spent
+  const gas = await estimateGas(call, request.gasLimit);
+  const fees = await currentFees();
+
+  const record = {
+    nonce: nextNonce,
+    label,
+    to: call.to,
+    data: call.data,
+    value: call.value.toString(),
+    gasLimit: gas.gasLimit.toString(),
+    l1GasEstimate: gas.l1Gas?.toString(),
+    bumpable,
+    bumps: 0,
+    cancelling: false,
+    hashes: [],
+    status: 'pending',
+  };
+
+  const signed = await signVersion(record, fees);
+  let response;
+  try {
+    response = await provider.broadcastTransaction(signed);
+  } catch (e) {
+    if (!AMBIGUOUS_ERRORS.includes(e.code)) {
+      // Rejected outright: the nonce is still free for the next send
+      store.saveTx(record.txKey, { status: 'rejected', error: e.shortMessage || e.message });
+      if (e.code === 'NONCE_EXPIRED') await syncNonce();
+      throw e;
+    }
+    log.warn('Broadcast uncertain, monitor will retry', { label, nonce: record.nonce, error: e });
+    record.hashes.at(-1).uncertain = true;
+    store.saveTx(record.txKey, record);
+    // The node may not know the hash yet, so answer from what was signed;
+    // waiting on it works once the monitor's re-send lands
+    response = new ethers.TransactionResponse(ethers.Transaction.from(signed), provider);
+  }
+
+  nextNonce = record.nonce + 1;
+  log.info('Transaction sent', {
+    label,
+    nonce: record.nonce,
+    gasLimit: record.gasLimit,
+    l1Gas: gas.l1Gas ?? undefined,
+    txHash: record.hashes.at(-1)?.hash,
+  });
+
+  return {
+    hash: record.hashes[0].hash,
+    nonce: record.nonce,
+    gasLimit: gas.gasLimit,
+    l1GasEstimate: gas.l1Gas,
+    response,
+    wait: () => waitFor(record.txKey),
+  };
+}
+
+async function estimateGas(call, gasLimit) {
+  if (gasLimit) return { gasLimit: BigInt(gasLimit), l1Gas: null };
+
+  const estimate = await provider.estimateGas(call);
+
+  // Best effort: the L1 share only exists on Arbitrum
+  let l1Gas = null;
+  try {
+    const components = await nodeInterface.gasEstimateComponents.staticCall(call.to, false, call.data, { from: call.from, value: call.value });
+    l1Gas = components.gasEstimateForL1;
+  } catch {}
+
+  return { gasLimit: estimate * BigInt(100 + options.gasMarginPercent) / 100n, l1Gas };
+}
+
+async function currentFees() {
+  const feeData = await provider.getFeeData();
+  const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? 0n;
+  const maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice * 2n;
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/** Sign, persist, then broadcast one version of a record's nonce. */
+async function broadcast(record, fees) {
+  return provider.broadcastTransaction(await signVersion(record, fees));
+}
+
+/** Sign one version of a record's nonce and persist it before it is sent. */
+async function signVersion(record, fees) {
+  const fields = record.cancelling
+    ? { to: wallet.address, data: '0x', value: 0n, gasLimit: CANCEL_GAS_LIMIT }
+    : { to: record.to, data: record.data, value: BigInt(record.value), gasLimit: BigInt(record.gasLimit) };
+
+  const signed = await wallet.signTransaction({
+    type: 2,
+    chainId,
+    nonce: record.nonce,
+    ...fields,
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+  });
+  const hash = ethers.keccak256(signed);
+
+  record.hashes.push({
+    hash,
+    maxFeePerGas: fees.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+    cancel: record.cancelling,
+    sentAt: Date.now(),
+    // Only kept where the monitor may have to re-send these exact bytes
+    raw: record.bumpable ? undefined : signed,
+  });
+  record.txKey ??= hash;
+  store.saveTx(record.txKey, record);
+  // On disk before it can reach the chain, so a restart knows the nonce is used
+  store.flush();
+
+  return signed;
+}
+
+// =============================================================================
+// WAITING
+// =============================================================================
+function waitFor(txKey) {
+  const record = store.getTx(txKey);
+  if (record.status !== 'pending') {
+    return record.status === 'confirmed'
+      ? provider.getTransactionReceipt(record.finalHash)
+      : Promise.reject(outcomeError(record));
+  }
+  return new Promise((resolve, reject) => {
+    if (!waiters.has(record.txKey)) waiters.set(record.txKey, []);
+    waiters.get(record.txKey).push({ resolve, reject });
+  });
+}
+
+function finish(record, status, receipt, fields = {}) {
+  // Signed bytes are only needed while the nonce is open
+  const hashes = record.hashes.map(({ raw, ...sent }) => sent);
+  const saved = store.saveTx(record.txKey, { status, hashes, ...fields });
+  const pending = waiters.get(record.txKey) || [];
+  waiters.delete(record.txKey);
+
+  for (const { resolve, reject } of pending) {
+    if (status === 'confirmed') {
+      resolve(receipt);
+    } else {
+      reject(outcomeError(saved, receipt));
+    }
+  }
+}
+
+function outcomeError(record, receipt) {
+  const messages = {
+    reverted: 'Transaction reverted',
+    cancelled: `Transaction cancelled after ${record.bumps} fee bump(s)`,
+    replaced: `Nonce ${record.nonce} was used by another transaction`,
+  };
+  const error = new Error(`${messages[record.status] || `Transaction ${record.status}`} (${record.label})`);
+  error.receipt = receipt;
+  error.txRecord = record;
+  return error;
+}
+
+// =============================================================================
+// MONITOR
+// =============================================================================
+
+/** Confirm, re-price or cancel every pending transaction. Run on an interval. */
+export async function monitorTransactions() {
+  if (isMonitoring) return;
+  isMonitoring = true;
+
+  try {
+    const pending = store.listTxs(t => t.status === 'pending').sort((a, b) => a.nonce - b.nonce);
+    if (pending.length === 0) return;
+
+    // Read the mined nonce before the receipts, so a nonce below it with no
+    // receipt of ours really was taken by someone else
+    const minedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+    for (const record of pending) {
+      await checkTx(record, minedNonce);
+    }
+  } catch (e) {
+    log.error('Transaction monitor error', { error: e });
+  } finally {
+    isMonitoring = false;
+  }
+}
+
+async function checkTx(record, minedNonce) {
+  for (const sent of record.hashes) {
+    const receipt = await provider.getTransactionReceipt(sent.hash);
+    if (!receipt) continue;
+
+    const status = sent.cancel ? 'cancelled' : receipt.status === 1 ? 'confirmed' : 'reverted';
+    log[status === 'confirmed' ? 'info' : 'warn'](`Transaction ${status}`, {
+      label: record.label,
+      nonce: record.nonce,
+      txHash: sent.hash,
+      block: receipt.blockNumber,
+    });
+    finish(record, status, receipt, {
+      finalHash: sent.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      effectiveGasPrice: receipt.gasPrice?.toString(),
+    });
+    return;
+  }
+
+  if (record.nonce < minedNonce) {
+    finish(record, 'replaced', null);
+    return;
+  }
+
+  const last = record.hashes.at(-1);
+  const overdue = Date.now() - last.sentAt >= options.bumpAfterMs;
+
+  // Someone waits on this exact hash, so it cannot be re-priced. Send the same
+  // bytes again: until the node has them, every later nonce is stuck behind it
+  if (!record.bumpable) {
+    if (last.raw && (last.uncertain || overdue)) await resend(record, last);
+    if (overdue && !record.alerted) {
+      raiseAlert('tx_stuck', `${record.label} has not been mined and cannot be re-priced`, {
+        nonce: record.nonce,
+        hash: last.hash,
+      });
+      store.saveTx(record.txKey, { alerted: true });
+    }
+    return;
+  }
+
+  if (!overdue) return;
+
+  if (!record.cancelling && record.bumps >= options.maxBumps) {
+    record.cancelling = true;
+    raiseAlert('tx_cancelled', `${record.label} still unmined after ${record.bumps} fee bump(s), cancelling nonce ${record.nonce}`, {
+      hash: last.hash,
+    });
+  }
+
+  await reprice(record, last);
+}
+
+async function reprice(record, last) {
+  const current = await currentFees();
+  const bump = value => BigInt(value) * BigInt(100 + options.bumpPercent) / 100n;
+  const fees = {
+    maxFeePerGas: max(bump(last.maxFeePerGas), current.maxFeePerGas),
+    maxPriorityFeePerGas: max(bump(last.maxPriorityFeePerGas), current.maxPriorityFeePerGas),
+  };
+
+  record.bumps++;
+  try {
+    await broadcast(record, fees);
+    log.info(record.cancelling ? 'Cancelling stuck transaction' : 'Re-priced stuck transaction', {
+      label: record.label,
+      nonce: record.nonce,
+      bump: record.bumps,
+      maxFeeGwei: ethers.formatUnits(fees.maxFeePerGas, 'gwei'),
+      txHash: record.hashes.at(-1)?.hash,
+    });
+  } catch (e) {
+    // Usually the previous version was mined in the meantime; the next pass sees it
+    store.saveTx(record.txKey, { bumps: record.bumps, cancelling: record.cancelling });
+    log.warn('Re-price failed', { label: record.label, nonce: record.nonce, error: e });
+  }
+}
+
+async function resend(record, last) {
+  try {
+    await provider.broadcastTransaction(last.raw);
+    log.info('Re-sent transaction', { label: record.label, nonce: record.nonce, txHash: last.hash });
+  } catch (e) {
+    // The node already having it is the outcome we want
+    if (!/already known|known transaction/i.test(e.message)) {
+      log.warn('Re-send failed, retrying on the next pass', { label: record.label, nonce: record.nonce, error: e });
+      return;
+    }
+  }
+  last.uncertain = false;
+  store.saveTx(record.txKey, { hashes: record.hashes });
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+// =============================================================================
+// SIGNER FOR THIRD-PARTY SDKS
+// =============================================================================
+
+/**
+ * An ethers signer for libraries that send their own transactions (the
+ * iExec SDK): signing is delegated to the oracle wallet, sending goes
+ * through the managed nonce sequence without re-pricing.
+ */
+export function managedSigner(label) {
+  return new ManagedSigner(label, wallet.provider);
+}
+
+class ManagedSigner extends ethers.AbstractSigner {
+  constructor(label, signerProvider) {
+    super(signerProvider);
+    this.label = label;
+  }
+
+  connect(newProvider) {
+    return new ManagedSigner(this.label, newProvider);
+  }
+
+  async getAddress() {
+    return wallet.address;
+  }
+
+  signTransaction(tx) {
+    return wallet.signTransaction(tx);
+  }
+
+  signMessage(message) {
+    return wallet.signMessage(message);
+  }
+
+  signTypedData(domain, types, value) {
+    return wallet.signTypedData(domain, types, value);
+  }
+
+  async sendTransaction(tx) {
+    const call = await this.populateCall(tx);
+    const sent = await sendTx({
+      to: call.to,
+      data: call.data,
+      value: call.value,
+      gasLimit: tx.gasLimit,
+    }, this.label, { bumpable: false });
+
+    return sent.response;
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * MoleSwap Oracle - TEE Output Validation
+ *
+ * Nothing from result.json reaches the chain until it passes here. The
+ * matcher's output is checked against the intents the oracle sent in:
+ * - settlementBatch has the exact shape settleAndQueue expects
+ * - every input intent is settled exactly once (internal match side or AMM)
+ *   and gets exactly one release, and nothing else is settled
+ * - release tokens are the intent's tokenOut, AMM settlements pay the same
+ *   stealth address as their release
+ * - every encryptedStealthKey is a well-formed ECIES ciphertext; the matcher
+ *   returns '0x' when encryption fails, which would strand the funds
+ * - no stealth address is used twice
+ *
+ * Problems that name an intent are reported per intent, so the caller can
+ * either reject the batch or drop just those intents. Anything else makes
+ * the whole output unusable.
+ */
+import { ethers } from 'ethers';
+
+// =============================================================================
+// CIPHERTEXT FORMAT (tee-app eciesEncrypt: ephPub | iv | tag | ciphertext)
+// =============================================================================
+const EPHEMERAL_PUBKEY_BYTES = 65;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// The plaintext is the stealth private key as a 0x-prefixed hex string
+const STEALTH_KEY_BYTES = 66;
+const CIPHERTEXT_BYTES = EPHEMERAL_PUBKEY_BYTES + IV_BYTES + TAG_BYTES + STEALTH_KEY_BYTES;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * @param {object} output   Parsed result.json
+ * @param {object[]} intents The intents that were sent to the TEE
+ * @returns {{ valid: boolean, batchErrors: string[], intentErrors: Map<string, string[]> }}
+ */
+export function validateTeeOutput(output, intents) {
+  const batchErrors = [];
+  const intentErrors = new Map();
+  const result = () => ({
+    valid: batchErrors.length === 0 && intentErrors.size === 0,
+    batchErrors,
+    intentErrors,
+  });
+  const flag = (intentId, reason) => {
+    const key = intentId.toLowerCase();
+    if (!intentErrors.has(key)) intentErrors.set(key, []);
+    intentErrors.get(key).push(reason);
+  };
+
+  const batch = output?.settlementBatch;
+  if (!batch || typeof batch !== 'object') {
+    batchErrors.push('missing settlementBatch');
+    return result();
+  }
+  for (const field of ['internalMatches', 'ammSettlements', 'releases']) {
+    if (!Array.isArray(batch[field])) batchErrors.push(`settlementBatch.${field} is not an array`);
+  }
+  if (!isBytes32(batch.batchId)) batchErrors.push('settlementBatch.batchId is not bytes32');
+  if (!Number.isSafeInteger(Number(batch.timestamp)) || Number(batch.timestamp) <= 0) {
+    batchErrors.push('settlementBatch.timestamp is not a positive integer');
+  }
+  if (batchErrors.length > 0) return result();
+
+  const byId = new Map(intents.map(i => [i.intentId.toLowerCase(), i]));
+  const settled = new Map();
+  const released = new Map();
+  const known = (intentId, where) => {
+    if (isBytes32(intentId) && byId.has(intentId.toLowerCase())) return true;
+    batchErrors.push(`${where} references unknown intent ${intentId}`);
+    return false;
+  };
+  const count = (counts, intentId) => {
+    const key = intentId.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  };
+
+  // Internal matches: both sides must be opposite directions of the same pair
+  batch.internalMatches.forEach((m, i) => {
+    const buyOk = known(m.buyIntentId, `internalMatches[${i}].buyIntentId`);
+    const sellOk = known(m.sellIntentId, `internalMatches[${i}].sellIntentId`);
+    if (!buyOk || !sellOk) return;
+
+    count(settled, m.buyIntentId);
+    count(settled, m.sellIntentId);
+
+    const buy = byId.get(m.buyIntentId.toLowerCase());
+    const sell = byId.get(m.sellIntentId.toLowerCase());
+    if (!sameAddress(buy.tokenIn, sell.tokenOut) || !sameAddress(buy.tokenOut, sell.tokenIn)) {
+      flag(m.buyIntentId, `internal match with ${m.sellIntentId} is not the opposite side of the pair`);
+      flag(m.sellIntentId, `internal match with ${m.buyIntentId} is not the opposite side of the pair`);
+    }
+    if (!isPositiveUint(m.matchedAmount)) {
+      flag(m.buyIntentId, `internal match has invalid matchedAmount ${m.matchedAmount}`);
+      flag(m.sellIntentId, `internal match has invalid matchedAmount ${m.matchedAmount}`);
+    }
+  });
+
+  // AMM settlements
+  const ammStealth = new Map();
+  batch.ammSettlements.forEach((s, i) => {
+    if (!known(s.intentId, `ammSettlements[${i}].intentId`)) return;
+    count(settled, s.intentId);
+
+    if (!isUsableAddress(s.stealthAddress)) flag(s.intentId, `AMM settlement has invalid stealthAddress ${s.stealthAddress}`);
+    if (!isPositiveUint(s.amountOut)) flag(s.intentId, `AMM settlement has invalid amountOut ${s.amountOut}`);
+    if (typeof s.zeroForOne !== 'boolean') flag(s.intentId, 'AMM settlement zeroForOne is not a boolean');
+    ammStealth.set(s.intentId.toLowerCase(), s.stealthAddress);
+  });
+
+  // Releases
+  const stealthUses = new Map();
+  batch.releases.forEach((r, i) => {
+    if (!known(r.intentId, `releases[${i}].intentId`)) return;
+    count(released, r.intentId);
+
+    const intent = byId.get(r.intentId.toLowerCase());
+    if (!isUsableAddress(r.token) || !sameAddress(r.token, intent.tokenOut)) {
+      flag(r.intentId, `release token ${r.token} is not the intent's tokenOut ${intent.tokenOut}`);
+    }
+    if (!isUsableAddress(r.stealthAddress)) {
+      flag(r.intentId, `release has invalid stealthAddress ${r.stealthAddress}`);
+    } else {
+      const key = r.stealthAddress.toLowerCase();
+      if (!stealthUses.has(key)) stealthUses.set(key, []);
+      stealthUses.get(key).push(r.intentId);
+    }
+    const amm = ammStealth.get(r.intentId.toLowerCase());
+    if (amm !== undefined && !sameAddress(amm, r.stealthAddress)) {
+      flag(r.intentId, 'release stealthAddress differs from its AMM settlement');
+    }
+    if (!isPositiveUint(r.amount)) flag(r.intentId, `release has invalid amount ${r.amount}`);
+    if (!Number.isSafeInteger(Number(r.releaseTime)) || Number(r.releaseTime) <= 0) {
+      flag(r.intentId, `release has invalid releaseTime ${r.releaseTime}`);
+    }
+    if (r.executed !== false) flag(r.intentId, 'release is already marked executed');
+
+    const cipherError = checkCiphertext(r.encryptedStealthKey);
+    if (cipherError) flag(r.intentId, `encryptedStealthKey ${cipherError}`);
+  });
+
+  for (const [address, ids] of stealthUses) {
+    if (ids.length > 1) {
+      for (const id of ids) flag(id, `stealth address ${address} is used by ${ids.length} releases`);
+    }
+  }
+
+  // Coverage: each input intent settled exactly once and released exactly once
+  for (const intent of intents) {
+    const key = intent.intentId.toLowerCase();
+    const s = settled.get(key) || 0;
+    const r = released.get(key) || 0;
+    if (s !== 1) flag(intent.intentId, s === 0 ? 'not settled by the TEE' : `settled ${s} times`);
+    if (r !== 1) flag(intent.intentId, r === 0 ? 'no release from the TEE' : `released ${r} times`);
+  }
+
+  return result();
+}
+
+/**
+ * Remove intents from a settlementBatch. Dropping one side of an internal
+ * match breaks the match, so its counterparty is dropped too and returned in
+ * `partners` for the caller to requeue.
+ */
+export function dropIntents(batch, intentIds) {
+  const drop = new Set([...intentIds].map(id => id.toLowerCase()));
+  const partners = new Set();
+
+  for (const m of batch.internalMatches) {
+    const buy = m.buyIntentId.toLowerCase();
+    const sell = m.sellIntentId.toLowerCase();
+    if (drop.has(buy) && !drop.has(sell)) partners.add(sell);
+    if (drop.has(sell) && !drop.has(buy)) partners.add(buy);
+  }
+  for (const id of partners) drop.add(id);
+
+  const keep = id => !drop.has(id.toLowerCase());
+  return {
+    batch: {
+      ...batch,
+      internalMatches: batch.internalMatches.filter(m => keep(m.buyIntentId) && keep(m.sellIntentId)),
+      ammSettlements: batch.ammSettlements.filter(s => keep(s.intentId)),
+      releases: batch.releases.filter(r => keep(r.intentId)),
+    },
+    partners: [...partners],
+  };
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+function checkCiphertext(value) {
+  if (typeof value !== 'string' || !ethers.isHexString(value)) return 'is not hex';
+  const bytes = ethers.getBytes(value);
+  if (bytes.length === 0) return 'is empty';
+  if (bytes.length !== CIPHERTEXT_BYTES) return `is ${bytes.length} bytes, expected ${CIPHERTEXT_BYTES}`;
+  try {
+    // Throws unless the ephemeral key is a point on secp256k1
+    ethers.SigningKey.computePublicKey(bytes.slice(0, EPHEMERAL_PUBKEY_BYTES));
+  } catch {
+    return 'has an invalid ephemeral public key';
+  }
+  return null;
+}
+
+function isBytes32(value) {
+  return typeof value === 'string' && ethers.isHexString(value, 32);
+}
+
+function isUsableAddress(value) {
+  return typeof value === 'string' && ethers.isAddress(value) && value !== ethers.ZeroAddress;
+}
+
+function isPositiveUint(value) {
+  try {
+    const n = BigInt(value);
+    return n > 0n && n < 2n ** 256n;
+  } catch {
+    return false;
+  }
+}
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
@@ -0,0 +1,72 @@
+/**
+ * MoleSwap Oracle - Rate limit tests
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as store from '../src/store.js';
+import { initRateLimits, take, peek, pruneFullBuckets, formatWait } from '../src/ratelimit.js';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moleswap-ratelimit-'));
+  store.openStore(path.join(dir, 'store.json'));
+  initRateLimits({
+    submit: { capacity: 2, perSec: 1 },
+    faucet: { capacity: 1, perSec: 1 / 3600 },
+  });
+});
+
+after(() => {
+  store.flush();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('take allows a burst up to capacity, then refuses until a token refills', () => {
+  const t0 = 1_000_000;
+  assert.equal(take('submit', 'ip-1', t0).allowed, true);
+  assert.equal(take('submit', 'ip-1', t0).allowed, true);
+  assert.deepEqual(take('submit', 'ip-1', t0), { allowed: false, retryAfterSec: 1 });
+  assert.equal(take('submit', 'ip-1', t0 + 1000).allowed, true);
+});
+
+test('buckets are kept per policy and caller', () => {
+  const t0 = 2_000_000;
+  assert.equal(take('faucet', 'ip-2', t0).allowed, true);
+  assert.equal(take('faucet', 'ip-2', t0).allowed, false);
+  assert.equal(take('faucet', 'ip-3', t0).allowed, true);
+  assert.equal(take('submit', 'ip-2', t0).allowed, true);
+});
+
+test('peek never spends a token', () => {
+  const t0 = 3_000_000;
+  for (let i = 0; i < 3; i++) assert.equal(peek('faucet', 'ip-4', t0).allowed, true);
+  assert.equal(take('faucet', 'ip-4', t0).allowed, true);
+  assert.deepEqual(peek('faucet', 'ip-4', t0), { allowed: false, retryAfterSec: 3600 });
+});
+
+test('a refused take does not push the next token further out', () => {
+  const t0 = 4_000_000;
+  take('faucet', 'ip-5', t0);
+  take('faucet', 'ip-5', t0 + 1800_000);
+  assert.equal(take('faucet', 'ip-5', t0 + 3600_000).allowed, true);
+});
+
+test('pruneFullBuckets drops only buckets that have refilled', () => {
+  const t0 = 5_000_000;
+  store.pruneBuckets(() => true);
+  take('submit', 'ip-6', t0);
+  take('faucet', 'ip-6', t0);
+
+  assert.equal(pruneFullBuckets(t0 + 1000), 1);
+  assert.equal(store.getBucket('submit:ip-6'), null);
+  assert.ok(store.getBucket('faucet:ip-6'));
+});
+
+test('formatWait switches to minutes from two minutes up', () => {
+  assert.equal(formatWait(90), '90 seconds');
+  assert.equal(formatWait(3600), '60 minutes');
+});
@@ -0,0 +1,84 @@
+/**
+ * MoleSwap Oracle - Store reorg rollback tests
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as store from '../src/store.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moleswap-store-'));
+  store.openStore(path.join(dir, 'store.json'));
+  store.setCursor(10, '0xa', 64);
+});
+
+afterEach(() => {
+  store.flush();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Apply an event at `block` the way ingestion does: journal, mutate, seal
+function applyEvent(block, intentId, mutate) {
+  store.journal(block, 'intents', intentId);
+  mutate();
+  store.sealJournal();
+}
+
+test('rollbackTo removes an intent created above the fork and rewinds the cursor', () => {
+  applyEvent(11, '0xA1', () => store.upsertIntent('0xA1', { sender: '0xs' }));
+  store.setCursor(11, '0xb', 64);
+
+  assert.equal(store.rollbackTo(10, '0xa'), 1);
+  assert.equal(store.getIntent('0xA1'), null);
+  assert.deepEqual(store.getCursor(), { block: 10, hash: '0xa' });
+  assert.deepEqual(store.getRecentBlocks(), [{ block: 10, hash: '0xa' }]);
+});
+
+test('rollbackTo keeps an event-created intent the oracle has moved on since', () => {
+  applyEvent(11, '0xA1', () => store.upsertIntent('0xA1'));
+  store.transitionIntent('0xA1', 'batched', { batchId: 7 });
+
+  store.rollbackTo(10, '0xa');
+
+  const intent = store.getIntent('0xA1');
+  assert.equal(intent.status, 'batched');
+  assert.equal(intent.batchId, 7);
+});
+
+test('rollbackTo reverts only what the reorged event changed', () => {
+  applyEvent(9, '0xA1', () => store.upsertIntent('0xA1'));
+  store.transitionIntent('0xA1', 'batched', { batchId: 7 });
+  applyEvent(11, '0xA1', () => store.transitionIntent('0xA1', 'cancelled'));
+  store.addMilestone('0xA1', 'note');
+
+  store.rollbackTo(10, '0xa');
+
+  const intent = store.getIntent('0xA1');
+  assert.equal(intent.status, 'batched');
+  assert.equal(intent.batchId, 7);
+  assert.deepEqual(intent.timeline.map(t => t.status), ['pending', 'batched']);
+  assert.deepEqual(intent.lifecycle.map(m => m.stage), ['note']);
+});
+
+test('rollbackTo leaves a field alone once the oracle has overwritten it', () => {
+  applyEvent(11, '0xA1', () => store.upsertIntent('0xA1', { holdReason: 'from event' }));
+  applyEvent(12, '0xA1', () => store.upsertIntent('0xA1', { holdReason: 'changed by event' }));
+  store.upsertIntent('0xA1', { holdReason: 'set by oracle' });
+
+  store.rollbackTo(10, '0xa');
+
+  assert.equal(store.getIntent('0xA1').holdReason, 'set by oracle');
+});
+
+test('rollbackTo keeps journal entries at or below the fork', () => {
+  applyEvent(10, '0xA1', () => store.upsertIntent('0xA1'));
+  applyEvent(11, '0xA2', () => store.upsertIntent('0xA2'));
+
+  assert.equal(store.rollbackTo(10, '0xa'), 1);
+  assert.ok(store.getIntent('0xA1'));
+  assert.equal(store.getIntent('0xA2'), null);
+});
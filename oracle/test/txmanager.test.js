@@ -0,0 +1,140 @@
+/**
+ * MoleSwap Oracle - Transaction manager nonce recovery tests
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ethers } from 'ethers';
+import * as store from '../src/store.js';
+import { initLogger } from '../src/logger.js';
+import { initTxManager, sendTx, monitorTransactions } from '../src/txmanager.js';
+
+const WALLET_KEY = '0x' + '11'.repeat(32);
+const TO = '0x' + '22'.repeat(20);
+
+initLogger({ level: 'error' });
+
+let dir, chain, wallet;
+
+/**
+ * A provider just real enough for the transaction manager. `chain.broadcast`
+ * decides what each broadcast does; mined transactions get a receipt once
+ * `chain.mine()` is called.
+ */
+function mockChain() {
+  const chain = {
+    pendingCount: 0,
+    minedCount: 0,
+    broadcasts: [],
+    sent: new Map(),
+    receipts: new Map(),
+    broadcast: () => {},
+    mine() {
+      for (const [hash, tx] of this.sent) {
+        this.receipts.set(hash, { status: 1, blockNumber: 100, gasUsed: 21000n, gasPrice: 1n });
+        this.minedCount = Math.max(this.minedCount, tx.nonce + 1);
+      }
+    },
+  };
+  chain.provider = {
+    getNetwork: async () => ({ chainId: 421614n }),
+    getTransactionCount: async (address, tag) => (tag === 'latest' ? chain.minedCount : chain.pendingCount),
+    estimateGas: async () => 21000n,
+    getFeeData: async () => ({ maxFeePerGas: 100n, maxPriorityFeePerGas: 1n }),
+    call: async () => { throw new Error('no NodeInterface here'); },
+    resolveName: async name => name,
+    getTransactionReceipt: async hash => chain.receipts.get(hash) || null,
+    broadcastTransaction: async signed => {
+      chain.broadcasts.push(signed);
+      chain.broadcast(signed);
+      const tx = ethers.Transaction.from(signed);
+      chain.sent.set(tx.hash, tx);
+      chain.pendingCount = Math.max(chain.pendingCount, tx.nonce + 1);
+      return { hash: tx.hash, nonce: tx.nonce };
+    },
+  };
+  return chain;
+}
+
+function broadcastError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moleswap-txmanager-'));
+  store.openStore(path.join(dir, 'store.json'));
+  chain = mockChain();
+  wallet = new ethers.Wallet(WALLET_KEY, chain.provider);
+});
+
+afterEach(() => {
+  store.flush();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the next nonce comes after transactions still pending in the store', async () => {
+  chain.pendingCount = 5;
+  store.saveTx('0xaa', { nonce: 7, label: 'earlier', status: 'pending', hashes: [] });
+  store.saveTx('0xbb', { nonce: 9, label: 'done', status: 'confirmed', hashes: [] });
+
+  const { nextNonce, pending } = await initTxManager({ wallet, bumpAfterMs: 60000, bumpPercent: 20, maxBumps: 3, gasMarginPercent: 20 });
+  assert.equal(nextNonce, 8);
+  assert.equal(pending, 1);
+
+  const sent = await sendTx({ to: TO }, 'next');
+  assert.equal(sent.nonce, 8);
+});
+
+test('the chain pending count wins when it is ahead of the store', async () => {
+  chain.pendingCount = 12;
+  store.saveTx('0xaa', { nonce: 7, label: 'earlier', status: 'pending', hashes: [] });
+
+  const { nextNonce } = await initTxManager({ wallet, bumpAfterMs: 60000, bumpPercent: 20, maxBumps: 3, gasMarginPercent: 20 });
+  assert.equal(nextNonce, 12);
+});
+
+test('an expired nonce resyncs the sequence from the chain', async () => {
+  await initTxManager({ wallet, bumpAfterMs: 60000, bumpPercent: 20, maxBumps: 3, gasMarginPercent: 20 });
+  chain.pendingCount = 4;
+  chain.broadcast = () => { throw broadcastError('NONCE_EXPIRED'); };
+
+  await assert.rejects(sendTx({ to: TO }, 'stale'), { code: 'NONCE_EXPIRED' });
+  assert.equal(store.listTxs(t => t.label === 'stale')[0].status, 'rejected');
+
+  chain.broadcast = () => {};
+  const sent = await sendTx({ to: TO }, 'fresh');
+  assert.equal(sent.nonce, 4);
+});
+
+test('an uncertain broadcast keeps its nonce and is re-sent unchanged until mined', async () => {
+  await initTxManager({ wallet, bumpAfterMs: 60000, bumpPercent: 20, maxBumps: 3, gasMarginPercent: 20 });
+  chain.broadcast = () => {
+    chain.broadcast = () => {};
+    throw broadcastError('TIMEOUT');
+  };
+
+  const sent = await sendTx({ to: TO }, 'sdk', { bumpable: false });
+  assert.equal(sent.nonce, 0);
+  assert.equal(sent.response.hash, sent.hash);
+  assert.equal(store.getTx(sent.hash).hashes[0].uncertain, true);
+
+  // The nonce counts as used even though the node may never have seen it
+  const after = await sendTx({ to: TO }, 'after');
+  assert.equal(after.nonce, 1);
+
+  const confirmed = sent.wait();
+  await monitorTransactions();
+  assert.equal(chain.broadcasts.at(-1), chain.broadcasts[0]);
+  assert.equal(store.getTx(sent.hash).hashes[0].uncertain, false);
+
+  chain.mine();
+  await monitorTransactions();
+  assert.equal((await confirmed).blockNumber, 100);
+
+  const record = store.getTx(sent.hash);
+  assert.equal(record.status, 'confirmed');
+  assert.equal(record.hashes.length, 1);
+  assert.equal(record.hashes[0].raw, undefined);
+});